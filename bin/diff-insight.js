@@ -6,14 +6,21 @@ const { analyzeDiff } = require('../src/index');
 program
     .name('diff-insight')
     .description('Analyze git diffs for meaningful changes across multiple languages')
-    .argument('<target-branch>', 'Target branch to compare against')
+    .argument('[range]', 'Target branch, ref range A..B / A...B (merge-base), or - for a patch on stdin')
+    .option('-b, --base <ref>', 'Base ref to compare from')
+    .option('-H, --head <ref>', 'Head ref to compare to (default: working tree)')
+    .option('--staged', 'Analyze staged changes (index vs HEAD)')
+    .option('--worktree', 'Analyze unstaged changes (working tree vs index)')
+    .option('-p, --patch <file>', 'Analyze a unified diff file instead of git refs (- for stdin)')
+    .option('-c, --per-commit', 'Analyze each commit in the range separately')
+    .option('-a, --api [entries]', 'Report API surface changes for entry files (default: package.json entry points)')
     .option('-s, --summary', 'Output human-readable summary (default)', true)
     .option('-r, --risk', 'Include risk scoring')
     .option('-f, --files <pattern>', 'Restrict to specific file types (e.g., "*.js,*.jsx")')
     .option('-j, --json', 'Output as JSON')
-    .action(async (targetBranch, options) => {
+    .action(async (range, options) => {
         try {
-            await analyzeDiff(targetBranch, options);
+            await analyzeDiff(range, options);
         } catch (error) {
             console.error('Error:', error.message);
             process.exit(1);
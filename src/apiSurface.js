@@ -0,0 +1,280 @@
+// src/apiSurface.js - Public API surface of entry files, following re-export chains
+const path = require('path');
+const { ASTParser } = require('./parser/astParser');
+const { readFileAtRef, WORKTREE } = require('./gitReader');
+const { createChange } = require('./changeModel');
+const { silentLogger } = require('./utils');
+
+// Tried in order when an import specifier has no (or a compiled) extension
+const EXTENSIONS = ['.js', '.ts', '.tsx', '.jsx', '.mjs', '.cjs', '.d.ts'];
+
+// Entry files tried when package.json names none that exist
+const DEFAULT_ENTRIES = ['index.js', 'index.ts', 'src/index.js', 'src/index.ts'];
+
+// Record entities that describe an exported binding
+const BINDING_ENTITIES = ['function', 'class', 'interface', 'type', 'enum', 'namespace', 'variable', 'component'];
+
+/**
+ * Compare the exports reachable from each entry file at refs.base and
+ * refs.head. Re-exports (`export { x } from`, `export * from`, and
+ * import-then-export) are followed to the module that defines the symbol,
+ * and the per-file analysis is consulted for changes to that definition.
+ *
+ * Resolves to [{ entry, exports, changes }] where changes are `api` records.
+ */
+async function analyzeApiSurface({ refs, entries = [], cwd, analysis = [], logger = silentLogger }) {
+  const parser = new ASTParser({ cwd, logger });
+  const oldModules = createModuleReader(parser, refs.base, logger);
+  const newModules = createModuleReader(parser, refs.head || WORKTREE, logger);
+
+  const entryFiles = entries.length > 0
+    ? entries
+    : await detectEntries(parser, refs.head || WORKTREE, oldModules, newModules);
+
+  const reports = [];
+
+  for (const entry of entryFiles) {
+    const oldSurface = await resolveSurface(oldModules, entry);
+    const newSurface = await resolveSurface(newModules, entry);
+
+    if (!oldSurface && !newSurface) {
+      logger.warn(`[API] Entry file not found: ${entry}`);
+      continue;
+    }
+
+    reports.push({
+      entry,
+      exports: newSurface ? newSurface.size : 0,
+      changes: diffSurfaces(oldSurface || new Map(), newSurface || new Map(), analysis)
+    });
+  }
+
+  return reports;
+}
+
+/**
+ * Entry files from package.json (main, module, types, exports), falling
+ * back to the usual index files
+ */
+async function detectEntries(parser, ref, oldModules, newModules) {
+  const candidates = [];
+  const content = await readFileAtRef(parser.git, ref, 'package.json');
+
+  if (content) {
+    try {
+      const pkg = JSON.parse(content);
+      ['main', 'module', 'types', 'typings'].forEach(field => {
+        if (typeof pkg[field] === 'string') candidates.push(pkg[field]);
+      });
+      collectExportPaths(pkg.exports, candidates);
+    } catch (error) {
+      // Unparsable package.json: use the default entries
+    }
+  }
+
+  const found = [];
+  for (const candidate of [...new Set(candidates.map(normalizeEntry))]) {
+    const file = await newModules.resolve('', `./${candidate}`) || await oldModules.resolve('', `./${candidate}`);
+    if (file && !found.includes(file)) found.push(file);
+  }
+  if (found.length > 0) return found;
+
+  for (const candidate of DEFAULT_ENTRIES) {
+    if (await newModules.read(candidate) || await oldModules.read(candidate)) {
+      return [candidate];
+    }
+  }
+  return [];
+}
+
+/**
+ * String targets of a package.json `exports` field (subpaths and conditions)
+ */
+function collectExportPaths(exportsField, paths) {
+  if (typeof exportsField === 'string') {
+    if (exportsField.startsWith('./') && !exportsField.includes('*')) paths.push(exportsField);
+  } else if (exportsField && typeof exportsField === 'object') {
+    Object.values(exportsField).forEach(value => collectExportPaths(value, paths));
+  }
+}
+
+function normalizeEntry(entry) {
+  return path.posix.normalize(entry).replace(/^\.\//, '');
+}
+
+/**
+ * Parsed modules at one ref, cached by path
+ */
+function createModuleReader(parser, ref, logger) {
+  const structures = new Map();
+  const surfaces = new Map();
+
+  const read = (file) => {
+    if (!structures.has(file)) {
+      structures.set(file, (async () => {
+        const content = await readFileAtRef(parser.git, ref, file);
+        if (content === null) return null;
+        try {
+          return parser.extractCodeStructure(parser.parseFullAST(content, parser.selectParser(file, content)));
+        } catch (error) {
+          logger.warn(`[API] Could not parse ${file} at ${ref}: ${error.message}`);
+          return null;
+        }
+      })());
+    }
+    return structures.get(file);
+  };
+
+  // Relative specifiers only; packages are outside the repository
+  const resolve = async (fromFile, specifier) => {
+    if (!specifier.startsWith('./') && !specifier.startsWith('../')) return null;
+
+    const base = path.posix.normalize(path.posix.join(path.posix.dirname(fromFile || '.'), specifier));
+    const candidates = path.posix.extname(base) ? [base] : [];
+    candidates.push(...EXTENSIONS.map(ext => base + ext));
+    if (/\.[cm]?js$/.test(base)) {
+      // TypeScript sources imported by their compiled name (`./x.js` → x.ts)
+      const stem = base.replace(/\.[cm]?js$/, '');
+      candidates.push(`${stem}.ts`, `${stem}.tsx`);
+    }
+    candidates.push(...EXTENSIONS.map(ext => `${base}/index${ext}`));
+
+    for (const candidate of candidates) {
+      if (await read(candidate)) return candidate;
+    }
+    return null;
+  };
+
+  return { parser, read, resolve, surfaces };
+}
+
+/**
+ * Map of exported name → origin { file, local, external } for a module,
+ * or null when the module does not exist at this ref
+ */
+async function resolveSurface(modules, file, inProgress = new Set()) {
+  if (modules.surfaces.has(file)) return modules.surfaces.get(file);
+  if (inProgress.has(file)) return new Map(); // Circular re-export
+  inProgress.add(file);
+
+  const structure = await modules.read(file);
+  if (!structure) {
+    inProgress.delete(file);
+    return null;
+  }
+
+  const surface = new Map();
+
+  // Resolve `source`'s export `name` to where it is defined
+  const follow = async (source, name) => {
+    const target = await modules.resolve(file, source);
+    if (!target) return { file: source, local: name, external: true };
+    if (name === '*') return { file: target, local: '*' };
+
+    const targetSurface = await resolveSurface(modules, target, inProgress);
+    return (targetSurface && targetSurface.get(name)) || { file: target, local: name };
+  };
+
+  // `export *` first, so the module's own exports take precedence
+  for (const exp of structure.exports.filter(e => e.type === 'all' && !e.exported)) {
+    const target = await modules.resolve(file, exp.source);
+    const targetSurface = target ? await resolveSurface(modules, target, inProgress) : null;
+    if (targetSurface) {
+      targetSurface.forEach((origin, name) => {
+        if (name !== 'default') surface.set(name, origin);
+      });
+    }
+  }
+
+  const defaultExport = structure.exports.find(e => e.type === 'default');
+  if (defaultExport) {
+    surface.set('default', { file, local: defaultExport.name });
+  }
+
+  for (const exp of modules.parser.namedExports(structure.exports)) {
+    if (exp.source) {
+      surface.set(exp.name, await follow(exp.source, exp.local));
+      continue;
+    }
+
+    // `import { a } from './x'; export { a }` re-exports too
+    const imp = structure.imports.find(i => i.specifiers.some(s => s.local === exp.local));
+    if (imp) {
+      const specifier = imp.specifiers.find(s => s.local === exp.local);
+      surface.set(exp.name, await follow(imp.source, specifier.imported));
+    } else {
+      surface.set(exp.name, { file, local: exp.local });
+    }
+  }
+
+  inProgress.delete(file);
+  modules.surfaces.set(file, surface);
+  return surface;
+}
+
+/**
+ * `api` records for names that entered, left or changed in the surface
+ */
+function diffSurfaces(oldSurface, newSurface, analysis) {
+  const changes = [];
+
+  newSurface.forEach((origin, name) => {
+    const before = oldSurface.get(name);
+
+    if (!before) {
+      changes.push(createChange({ kind: 'added', entity: 'api', name, after: origin, severity: 'low' }));
+      return;
+    }
+
+    const definitionChange = findDefinitionChange(analysis, origin);
+    if (definitionChange) {
+      changes.push(createChange({
+        kind: 'modified',
+        entity: 'api',
+        name,
+        before,
+        after: origin,
+        severity: definitionChange.severity,
+        breaking: definitionChange.breaking,
+        children: [definitionChange]
+      }));
+    } else if (before.file !== origin.file || before.local !== origin.local) {
+      changes.push(createChange({ kind: 'moved', entity: 'api', name, before, after: origin }));
+    }
+  });
+
+  oldSurface.forEach((origin, name) => {
+    if (!newSurface.has(name)) {
+      changes.push(createChange({
+        kind: 'removed',
+        entity: 'api',
+        name,
+        before: origin,
+        severity: 'high',
+        breaking: true
+      }));
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * The analysis record describing a change to the exported binding, if any
+ * (informational records, such as formatting-only edits, do not count)
+ */
+function findDefinitionChange(analysis, origin) {
+  if (origin.external || origin.local === '*') return null;
+
+  const item = analysis.find(a => a.file === origin.file);
+  if (!item || !item.records) return null;
+
+  return item.records.find(c =>
+    c.name === origin.local &&
+    c.kind !== 'added' &&
+    c.severity !== 'info' &&
+    BINDING_ENTITIES.includes(c.entity)
+  ) || null;
+}
+
+module.exports = { analyzeApiSurface };
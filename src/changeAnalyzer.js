@@ -5,23 +5,33 @@ const { parseCSS } = require('./parser/cssParser');
 const { parseJQuery } = require('./parser/jqueryParser');
 const { parseJS } = require('./parser/jsParser'); // Regex fallback
 const { parseReact } = require('./parser/reactParser'); // Regex fallback
-const { assessRisk } = require('./utils');
+const { assessRisk, silentLogger } = require('./utils');
+const { createChange, renderChanges, fromStrings } = require('./changeModel');
+const { WORKTREE } = require('./gitReader');
 
 /**
- * Main analyzer with full-file AST parsing + regex fallback
+ * Main analyzer with full-file AST parsing + regex fallback.
+ * Progress goes to options.logger (silent by default).
  */
 async function analyzeChanges(diffs, options) {
   const results = [];
-  const astParser = new ASTParser();
+  const logger = options.logger || silentLogger;
+  const astParser = new ASTParser({ cwd: options.cwd, logger });
+  
+  // Functions that disappeared from one file or appeared in another, for move detection
+  const moveCandidates = { removed: [], added: [] };
   
   for (const diff of diffs) {
     // Handle added files
     if (diff.status === 'added') {
+      await collectFunctions(astParser, diff, options.refs && (options.refs.head || WORKTREE), moveCandidates.added, logger);
+      const records = [createChange({ kind: 'added', entity: 'file', name: diff.path, severity: 'low' })];
       results.push({
         file: diff.path,
         status: 'added',
         type: detectFileType(diff.path, diff.diff),
-        changes: ['File added'],
+        changes: renderChanges(records),
+        records,
         risk: options.risk ? 'LOW' : null,
         insertions: diff.insertions,
         deletions: diff.deletions,
@@ -32,26 +42,35 @@ async function analyzeChanges(diffs, options) {
     
     // Handle deleted files
     if (diff.status === 'deleted') {
+      await collectFunctions(astParser, diff, options.refs && options.refs.base, moveCandidates.removed, logger);
+      const records = [createChange({ kind: 'removed', entity: 'file', name: diff.path, severity: 'medium' })];
       results.push({
         file: diff.path,
         status: 'deleted',
         type: detectFileType(diff.path, diff.diff),
-        changes: ['File deleted'],
-        risk: options.risk ? assessRisk(diff.path, ['File deleted']) : null,
+        changes: renderChanges(records),
+        records,
+        risk: options.risk ? assessRisk(diff.path, records) : null,
         insertions: diff.insertions,
         deletions: diff.deletions
       });
       continue;
     }
     
-    // Handle renamed files
-    if (diff.status === 'renamed') {
+    // Renamed and copied files: report the move, then diff old path vs new path
+    const isMove = diff.status === 'renamed' || diff.status === 'copied';
+    const moveRecord = isMove ? describeMove(diff) : null;
+    
+    // Pure renames/copies carry no content change worth parsing
+    if (isMove && diff.insertions === 0 && diff.deletions === 0) {
       results.push({
         file: diff.newPath,
         oldFile: diff.oldPath,
-        status: 'renamed',
+        status: diff.status,
+        similarity: diff.similarity,
         type: detectFileType(diff.newPath, diff.diff),
-        changes: [`File renamed from: ${diff.oldPath}`],
+        changes: renderChanges([moveRecord]),
+        records: [moveRecord],
         risk: options.risk ? 'LOW' : null,
         insertions: diff.insertions,
         deletions: diff.deletions
@@ -61,11 +80,15 @@ async function analyzeChanges(diffs, options) {
     
     // Handle binary files
     if (diff.binary) {
+      const binaryRecord = createChange({ kind: 'binary', entity: 'file', name: diff.path, severity: 'low' });
+      const records = isMove ? [moveRecord, binaryRecord] : [binaryRecord];
       results.push({
         file: diff.path,
-        status: 'modified',
+        ...(isMove && { oldFile: diff.oldPath, similarity: diff.similarity }),
+        status: isMove ? diff.status : 'modified',
         type: 'binary',
-        changes: ['Binary file changed'],
+        changes: renderChanges(records),
+        records,
         risk: 'LOW'
       });
       continue;
@@ -77,91 +100,111 @@ async function analyzeChanges(diffs, options) {
     let parseMethod = 'unknown';
     let parserType = null;
     
-    // Try AST parsing for JavaScript/TypeScript/React files
-    if (['javascript', 'typescript', 'react'].includes(fileType)) {
+    const isScript = ['javascript', 'typescript', 'react'].includes(fileType);
+    
+    // Try AST parsing for JavaScript/TypeScript/React files (needs full file contents)
+    if (isScript && options.refs) {
       try {
-        console.log(`[AST] Parsing ${diff.path} with full-file approach...`);
+        logger.log(`[AST] Parsing ${diff.path} with full-file approach...`);
         
         const astResult = await astParser.analyzeFile(
           diff.path,
-          options.targetBranch || 'main',
+          options.refs,
           diff
         );
         
         if (astResult.success) {
-          changes = astResult.changes;
+          changes = astResult.records;
+          moveCandidates.removed.push(...astResult.functions.removed);
+          moveCandidates.added.push(...astResult.functions.added);
           parseMethod = astResult.method;
           parserType = astResult.parserType;
-          console.log(`[AST] ✓ Success: ${diff.path} (${parserType})`);
+          logger.log(`[AST] ✓ Success: ${diff.path} (${parserType})`);
         }
         
       } catch (astError) {
-        console.warn(`[AST] ✗ Failed: ${diff.path} - ${astError.message}`);
-        console.log(`[FALLBACK] Trying regex parser for ${diff.path}...`);
+        logger.warn(`[AST] ✗ Failed: ${diff.path} - ${astError.message}`);
+        logger.log(`[FALLBACK] Trying regex parser for ${diff.path}...`);
         
         // Fallback to regex-based parsing
         try {
-          if (fileType === 'react') {
-            changes = parseReact(diff.diff, diff.path);
-          } else {
-            changes = parseJS(diff.diff, diff.path);
-          }
+          changes = fromStrings(parseScriptHunks(diff, fileType));
           parseMethod = 'regex-fallback';
-          console.log(`[FALLBACK] ✓ Success: ${diff.path}`);
+          logger.log(`[FALLBACK] ✓ Success: ${diff.path}`);
         } catch (regexError) {
-          console.warn(`[FALLBACK] ✗ Failed: ${diff.path}`);
-          changes = parseGeneric(diff.diff);
+          logger.warn(`[FALLBACK] ✗ Failed: ${diff.path}`);
+          changes = fromStrings(parseGeneric(diff.diff), 'lines');
           parseMethod = 'generic-fallback';
         }
       }
       
+    } else if (isScript) {
+      // No full file contents (e.g. --patch input): use hunk-based parsers
+      try {
+        changes = fromStrings(parseScriptHunks(diff, fileType));
+        parseMethod = 'regex';
+      } catch (regexError) {
+        logger.warn(`[Parser] Failed for ${diff.path}: ${regexError.message}`);
+        changes = fromStrings(parseGeneric(diff.diff), 'lines');
+        parseMethod = 'generic-fallback';
+      }
+      
     } else {
       // Use appropriate parser for other file types
       try {
         switch (fileType) {
           case 'html':
-            changes = parseHTML(diff.diff, diff.path);
+            changes = fromStrings(parseHTML(diff.diff, diff.path), 'markup');
             parseMethod = 'regex';
             break;
             
           case 'css':
           case 'scss':
             // CSS parser is now async, so await it
-            changes = await parseCSS(diff.diff, diff.path);
+            changes = fromStrings(await parseCSS(diff.diff, diff.path, logger), 'style');
             parseMethod = 'postcss-ast';
             break;
             
           case 'jquery':
-            changes = parseJQuery(diff.diff, diff.path);
+            changes = fromStrings(parseJQuery(diff.diff, diff.path));
             parseMethod = 'regex';
             break;
             
           default:
-            changes = parseGeneric(diff.diff);
+            changes = fromStrings(parseGeneric(diff.diff), 'lines');
             parseMethod = 'generic';
         }
       } catch (parserError) {
-        console.warn(`[Parser] Failed for ${diff.path}: ${parserError.message}`);
-        changes = parseGeneric(diff.diff);
+        logger.warn(`[Parser] Failed for ${diff.path}: ${parserError.message}`);
+        changes = fromStrings(parseGeneric(diff.diff), 'lines');
         parseMethod = 'generic-fallback';
       }
     }
     
     // Ensure changes is always an array
     if (!Array.isArray(changes)) {
-      console.warn(`[Warning] Changes is not an array for ${diff.path}, converting...`);
-      changes = changes ? [String(changes)] : ['Code modified'];
+      logger.warn(`[Warning] Changes is not an array for ${diff.path}, converting...`);
+      changes = changes ? fromStrings([String(changes)]) : [];
+    }
+    
+    if (changes.length === 0) {
+      changes = [createChange({ kind: 'modified', entity: 'file', name: diff.path })];
+    }
+    if (isMove) {
+      changes = [moveRecord, ...changes];
     }
     
     // Calculate metrics
     const risk = options.risk ? assessRisk(diff.path, changes) : null;
-    const complexity = calculateComplexityFromChanges(changes);
+    const complexity = calculateComplexityFromChanges(renderChanges(changes), logger);
     
     results.push({
       file: diff.path,
-      status: 'modified',
+      ...(isMove && { oldFile: diff.oldPath, similarity: diff.similarity }),
+      status: isMove ? diff.status : 'modified',
       type: fileType,
-      changes: changes.length > 0 ? changes : ['Code modified'],
+      changes: renderChanges(changes),
+      records: changes,
       risk,
       insertions: diff.insertions,
       deletions: diff.deletions,
@@ -172,9 +215,79 @@ async function analyzeChanges(diffs, options) {
     });
   }
   
+  applyFunctionMoves(results, astParser.detectMovedFunctions(moveCandidates), options);
+  
   return results;
 }
 
+/**
+ * Add the functions of an added/deleted script file to the move candidates
+ */
+async function collectFunctions(astParser, diff, ref, candidates, logger) {
+  const fileType = detectFileType(diff.path, diff.diff);
+  if (!ref || diff.binary || !['javascript', 'typescript', 'react'].includes(fileType)) return;
+  
+  try {
+    candidates.push(...await astParser.listFunctions(diff.path, ref));
+  } catch (error) {
+    logger.warn(`[AST] Skipping ${diff.path} for move detection: ${error.message}`);
+  }
+}
+
+/**
+ * Replace the removal in the source file and the addition in the target file
+ * with one `function:moved` record (kept with the target file)
+ */
+function applyFunctionMoves(results, moves, options) {
+  const touched = new Set();
+  
+  moves.forEach(({ oldFunc, newFunc, record }) => {
+    const source = results.find(r => (r.oldFile || r.file) === oldFunc.file);
+    const target = results.find(r => r.file === newFunc.file);
+    if (!source || !target) return;
+    
+    source.records = source.records.filter(c =>
+      !(c.entity === 'function' && c.kind === 'removed' && c.name === oldFunc.name)
+    );
+    
+    const addedIndex = target.records.findIndex(c =>
+      c.entity === 'function' && c.kind === 'added' && c.name === newFunc.name
+    );
+    if (addedIndex === -1) {
+      target.records.push(record);
+    } else {
+      target.records[addedIndex] = record;
+    }
+    
+    touched.add(source);
+    touched.add(target);
+  });
+  
+  touched.forEach(item => {
+    if (item.records.length === 0) {
+      item.records = [createChange({ kind: 'modified', entity: 'file', name: item.file })];
+    }
+    item.changes = renderChanges(item.records);
+    if (options.risk && item.parseMethod) {
+      item.risk = assessRisk(item.file, item.records);
+    }
+  });
+}
+
+/**
+ * Record a rename/copy with git's similarity score
+ */
+function describeMove(diff) {
+  return createChange({
+    kind: diff.status,
+    entity: 'file',
+    name: diff.newPath,
+    before: diff.oldPath,
+    after: diff.similarity,
+    severity: 'low'
+  });
+}
+
 /**
  * Detect file type from path and content
  */
@@ -202,6 +315,16 @@ function detectFileType(filepath, content) {
   return 'unknown';
 }
 
+/**
+ * Regex parsers that work from diff hunks alone
+ */
+function parseScriptHunks(diff, fileType) {
+  if (fileType === 'react') {
+    return parseReact(diff.diff, diff.path);
+  }
+  return parseJS(diff.diff, diff.path);
+}
+
 /**
  * Generic parser for unsupported file types
  */
@@ -226,10 +349,10 @@ function parseGeneric(diff) {
 /**
  * Calculate complexity from change descriptions
  */
-function calculateComplexityFromChanges(changes) {
+function calculateComplexityFromChanges(changes, logger = silentLogger) {
   // Ensure changes is an array
   if (!Array.isArray(changes)) {
-    console.warn('[Warning] calculateComplexityFromChanges received non-array:', changes);
+    logger.warn('[Warning] calculateComplexityFromChanges received non-array:', changes);
     return 'N/A';
   }
   
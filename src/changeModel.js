@@ -0,0 +1,490 @@
+// src/changeModel.js - Structured change records shared by every analyzer
+
+/**
+ * Create a change record.
+ *
+ *   kind      what happened: added | removed | modified | renamed | copied | ...
+ *   entity    what it happened to: function | class | method | parameter |
+ *             import | export | variable | component | hook | file | ...
+ *   name      entity name (function name, import source, ...)
+ *   before    entity-specific value on the old side
+ *   after     entity-specific value on the new side
+ *   location  { old, new } where each side is { file, start, end } or null
+ *             (null on the side where the entity does not exist); function
+ *             records also list the diff hunks that touched them in
+ *             location.changed = { old: [{ start, end }], new: [...] }
+ *   severity  high | medium | low | info
+ *   breaking  true when callers or consumers may break
+ *   children  nested records (e.g. parameter changes under a function)
+ *   message   only for output lifted from text-based parsers (see fromStrings)
+ */
+function createChange({
+  kind,
+  entity,
+  name = null,
+  before = null,
+  after = null,
+  location = null,
+  severity = 'info',
+  breaking = false,
+  children = [],
+  message = null
+}) {
+  const change = { kind, entity, name, before, after, location, severity, breaking, children };
+  if (message !== null) change.message = message;
+  return change;
+}
+
+/**
+ * Line span of an AST node (Babel/acorn `loc`)
+ */
+function spanOf(node) {
+  if (!node || !node.loc) return null;
+  return { start: node.loc.start.line, end: node.loc.end.line };
+}
+
+/**
+ * Location for an entity found at oldNode and/or newNode
+ */
+function locate(oldNode, newNode) {
+  const oldSpan = spanOf(oldNode);
+  const newSpan = spanOf(newNode);
+  if (!oldSpan && !newSpan) return null;
+  return { old: oldSpan, new: newSpan };
+}
+
+/**
+ * Stamp file paths on every span, and let children without a location of
+ * their own (parameters, async flips, ...) point at their parent's
+ */
+function attachFiles(changes, oldFile, newFile, parentLocation = null) {
+  changes.forEach(change => {
+    if (change.location) {
+      if (change.location.old) change.location.old.file = oldFile;
+      if (change.location.new) change.location.new.file = newFile;
+    } else if (parentLocation) {
+      change.location = { old: parentLocation.old, new: parentLocation.new };
+    }
+    attachFiles(change.children, oldFile, newFile, change.location);
+  });
+  return changes;
+}
+
+/**
+ * Short text for a location: `L12-15`, `was L3` or `a.js:3 → b.js:5`
+ */
+function describeLocation(location) {
+  if (!location) return '';
+
+  const span = s => (s.start === s.end ? `L${s.start}` : `L${s.start}-${s.end}`);
+  const { old: oldSpan, new: newSpan } = location;
+
+  let text = '';
+  if (oldSpan && newSpan && oldSpan.file && oldSpan.file !== newSpan.file) {
+    text = `${oldSpan.file}:${span(oldSpan)} → ${newSpan.file}:${span(newSpan)}`;
+  } else if (newSpan) {
+    text = span(newSpan);
+  } else if (oldSpan) {
+    text = `was ${span(oldSpan)}`;
+  }
+
+  // Hunks that touched the entity, on the new side when there is one
+  const changed = location.changed;
+  if (changed) {
+    const hunks = changed.new.length > 0 ? changed.new : changed.old.map(h => ({ ...h, removed: true }));
+    if (hunks.length > 0) {
+      const list = hunks.map(h => (h.removed ? 'was ' : '') + span(h)).join(', ');
+      text += `${text ? ', ' : ''}changed ${list}`;
+    }
+  }
+
+  return text;
+}
+
+/**
+ * Human-readable text for each entity/kind pair
+ */
+const RENDERERS = {
+  'function:added': c => `Added ${c.after.async ? 'async ' : ''}function: ${c.name}(${c.after.params.join(', ')})`,
+  'function:removed': c => `Removed function: ${c.name}`,
+  'function:modified': c => `Function ${c.name} changed:`,
+  'function:renamed': c => `Renamed ${c.before.name} → ${c.name}${describeSimilarity(c.after.similarity)}`,
+  'function:moved': c => `Moved ${c.before.name !== c.name ? `${c.before.name} → ` : ''}${c.name} from ${c.before.file} to ${c.after.file}${describeSimilarity(c.after.similarity)}`,
+  'api-call:detected': c => `Function ${c.name} makes API calls`,
+  'api-call:added': () => 'Added API calls',
+  'complexity:detected': c => `High complexity (${c.after})`,
+  'complexity:increased': c => `Complexity increased (${c.before} → ${c.after})`,
+  'async:modified': c => `Changed to ${c.after ? 'async' : 'sync'}`,
+  'parameter:added': c => `Added ${c.after && c.after.optional ? 'optional ' : ''}parameter: ${c.name}` +
+    `${c.after && c.after.hasDefault ? ` = ${c.after.defaultValue}` : ''}${describeShifts(c.after)}${compatibility(c)}`,
+  'parameter:removed': c => `Removed parameter: ${c.name}${describeShifts(c.before)}${compatibility(c)}`,
+  'nested-function:added': c => (c.after.anonymous && c.after.role
+    ? `Added ${c.after.role} in ${c.after.owner}`
+    : `Added ${c.after.anonymous ? 'callback' : 'nested function'}: ${c.name}(${c.after.params.join(', ')})`),
+  'nested-function:removed': c => (c.before.anonymous && c.before.role
+    ? `Removed ${c.before.role} in ${c.before.owner}`
+    : `Removed ${c.before.anonymous ? 'callback' : 'nested function'}: ${c.name}`),
+  'parameter:renamed': c => `Renamed parameter: ${c.before} → ${c.name}`,
+  'parameter:reordered': c => `Parameters reordered: (${c.before.join(', ')}) → (${c.after.join(', ')})${compatibility(c)}`,
+  'default-value:added': c => `Parameter ${c.name} now defaults to ${c.after}${compatibility(c)}`,
+  'default-value:removed': c => `Parameter ${c.name} no longer has a default (was ${c.before})${c.breaking ? ', now required' : ''}${compatibility(c)}`,
+  'default-value:modified': c => `Default of ${c.name}: ${c.before} → ${c.after}${compatibility(c)}`,
+  'destructuring:modified': c => `Destructured parameter ${c.after} changed:`,
+  'destructured-key:added': c => `Added key: ${c.name}${c.after.hasDefault ? ` = ${c.after.defaultValue}` : ''}${compatibility(c)}`,
+  'destructured-key:removed': c => `Removed key: ${c.name}${compatibility(c)}`,
+  'destructured-key:modified': c => `Key ${c.name}: ${c.before} → ${c.after}${compatibility(c)}`,
+  'destructured-default:added': c => `Key ${c.name} now defaults to ${c.after}${compatibility(c)}`,
+  'destructured-default:removed': c => `Key ${c.name} no longer has a default (was ${c.before})${compatibility(c)}`,
+  'destructured-default:modified': c => `Default of key ${c.name}: ${c.before} → ${c.after}${compatibility(c)}`,
+  'parameter:modified': c => `Parameter ${c.name}: ${describeTypeChange(c)}${compatibility(c)}`,
+  'return-type:modified': c => `Return type: ${describeTypeChange(c)}${compatibility(c)}`,
+  'overload:added': c => `Added overload: ${c.name}${compatibility(c)}`,
+  'overload:removed': c => `Removed overload: ${c.name}${compatibility(c)}`,
+  'return:added': () => 'Added return statement',
+  'return:removed': () => 'Removed return statement',
+  'body:modified': c => `Body changed${describeStatementChanges(c.after)}`,
+  'body:reformatted': () => 'Formatting only (body identical after normalization)',
+  'body:identical': () => 'Body identical (change outside the body)',
+  'class:added': c => `Added ${c.after && c.after.isComponent ? 'component class' : 'class'}: ${c.name}`,
+  'class:removed': c => `Removed class: ${c.name}`,
+  'class:modified': c => `Class ${c.name} changed:`,
+  'method:added': c => `Added method: ${c.name}${describeMemberFlags(c.after)}`,
+  'method:removed': c => `Removed method: ${c.name}${describeMemberFlags(c.before)}`,
+  'method:modified': c => `Method ${c.name} changed:`,
+  'field:added': c => `Added field: ${c.name}${describeMemberFlags(c.after)}`,
+  'field:removed': c => `Removed field: ${c.name}${describeMemberFlags(c.before)}`,
+  'field:modified': c => `Field ${c.name} changed:`,
+  'field-type:modified': c => `Type: ${describeTypeChange(c)}${compatibility(c)}`,
+  'initializer:modified': () => 'Initial value changed',
+  'static-block:added': () => 'Added static initialization block',
+  'static-block:removed': () => 'Removed static initialization block',
+  'static-block:modified': c => `Static initialization block${c.name.includes('#') ? ` ${c.name.split(' ').pop()}` : ''} changed:`,
+  'visibility:modified': c => `Visibility: ${c.before} → ${c.after}${compatibility(c)}`,
+  'modifier:added': c => `Now ${c.name}${compatibility(c)}`,
+  'modifier:removed': c => `No longer ${c.name}${compatibility(c)}`,
+  'import:added': c => c.after.length > 0 ? `Added import: ${c.after.join(', ')} from '${c.name}'` : `Added import: '${c.name}'`,
+  'import:removed': c => `Removed import from '${c.name}'`,
+  'import:modified': c => `Import from '${c.name}' changed:`,
+  'import:duplicate': c => c.after.imported
+    ? `Duplicate import: ${c.after.imported === '*' ? 'namespace' : c.after.imported} imported ${c.after.count} times from '${c.name}'`
+    : `Duplicate import: '${c.name}' imported by ${c.after.count} declarations`,
+  'import:unused': c => `Unused import: ${c.name} from '${c.after.source}'`,
+  'import-specifier:added': c => `Added specifier: ${describeSpecifier(c.after)}`,
+  'import-specifier:removed': c => `Removed specifier: ${describeSpecifier(c.before)}`,
+  'import-specifier:modified': c => `Specifier changed: ${describeSpecifier(c.before)} → ${describeSpecifier(c.after)}`,
+  'export:added': c => describeExport('Added', c.name, c.after),
+  'export:removed': c => describeExport('Removed', c.name, c.before),
+  'export:modified': c => `Default export ${c.name} is now a ${c.after} (was a ${c.before})`,
+  'variable:modified': c => `Changed ${c.name} from '${c.before}' to '${c.after}'`,
+  'component:added': c => `Added component: ${c.name}${describeWrappers(c.after)}`,
+  'component:removed': c => `Removed component: ${c.name}${describeWrappers(c.before)}`,
+  'component:renamed': c => `Renamed component ${c.before.name} → ${c.name}${describeSimilarity(c.after.similarity)}`,
+  'component:modified': c => `Component ${c.name} changed:`,
+  'component-kind:modified': c => `Converted from ${c.before} to ${c.after} component`,
+  'wrapper:added': c => `Wrapped in ${c.name}()${compatibility(c)}`,
+  'wrapper:removed': c => `No longer wrapped in ${c.name}()${compatibility(c)}`,
+  'child-component:added': c => `Renders <${c.name}>`,
+  'child-component:removed': c => `No longer renders <${c.name}>`,
+  'conditional-render:added': c => `${c.name} rendered conditionally (${c.after}${c.before ? `, was ${c.before}` : ''})`,
+  'conditional-render:removed': c => `${c.name} no longer rendered conditionally (was ${c.before})`,
+  'list-key:warning': c => `${c.name} rendered in a list without a key`,
+  'list-key:removed': c => `${c.name} in list lost its key (was ${c.before})`,
+  'list-key:modified': c => `Key of ${c.name} in list: ${c.before} → ${c.after}`,
+  'handler:added': c => `${c.after.element} ${c.name} handler added: ${c.after.value}`,
+  'handler:removed': c => `${c.before.element} ${c.name} handler removed (was ${c.before.value})`,
+  'handler:modified': c => `${c.after.element} ${c.name} handler changed` +
+    `${c.before.value !== c.after.value ? `: ${c.before.value} → ${c.after.value}` : ''}`,
+  'prop:added': c => `Added ${c.after.required ? 'required ' : ''}prop: ${c.name}${c.after.type ? `: ${c.after.type}` : ''}` +
+    `${c.after.hasDefault ? ` = ${c.after.defaultValue}` : ''}${compatibility(c)}`,
+  'prop:removed': c => `Removed prop: ${c.name}${compatibility(c)}`,
+  'prop:modified': c => `Prop ${c.name}: ${describePropChange(c)}${compatibility(c)}`,
+  'hooks:modified': c => `Hooks in ${c.name} changed:`,
+  'hook:added': c => `Added ${c.after.custom ? 'custom ' : ''}hook: ${c.name}${describeDependencies(c.after.deps)}`,
+  'hook:removed': c => `Removed ${c.before.custom ? 'custom ' : ''}hook: ${c.name}${describeDependencies(c.before.deps)}`,
+  'dependencies:modified': c => `${c.name} dependencies: ${describeDependencyChange(c)}`,
+  'cleanup:added': c => `Effect cleanup added to ${c.name}`,
+  'cleanup:removed': c => `Effect cleanup removed from ${c.name}`,
+  'hook-rule:warning': c => `${c.name} called ${c.after.context} in ${c.after.component} (Rules of Hooks)`,
+  'hook-dependency:warning': c => `${c.name} in ${c.after.component} reads ${c.after.missing.join(', ')} ` +
+    `without listing ${c.after.missing.length > 1 ? 'them' : 'it'} as a dependency (stale closure)`,
+  'interface:added': c => `Added interface: ${c.name}`,
+  'interface:removed': c => `Removed interface: ${c.name}`,
+  'interface:modified': c => `Interface ${c.name} changed:`,
+  'type:added': c => `Added type: ${c.name}`,
+  'type:removed': c => `Removed type: ${c.name}`,
+  'type:modified': c => `Type ${c.name} changed:`,
+  'enum:added': c => `Added enum: ${c.name}`,
+  'enum:removed': c => `Removed enum: ${c.name}`,
+  'enum:modified': c => `Enum ${c.name} changed:`,
+  'namespace:added': c => `Added namespace: ${c.name}`,
+  'namespace:removed': c => `Removed namespace: ${c.name}`,
+  'namespace:modified': c => `Namespace ${c.name} changed:`,
+  'property:added': c => `Added ${c.after.optional ? 'optional ' : ''}property: ${c.name}: ${c.after.type}${compatibility(c)}`,
+  'property:removed': c => `Removed property: ${c.name}${compatibility(c)}`,
+  'property:modified': c => `Property ${c.name}: ${describeTypeChange(c)}${compatibility(c)}`,
+  'enum-member:added': c => `Added member: ${c.name}${c.after !== null ? ` = ${c.after}` : ''}${compatibility(c)}`,
+  'enum-member:removed': c => `Removed member: ${c.name}${compatibility(c)}`,
+  'enum-member:modified': c => `Member ${c.name} value changed: ${c.before} → ${c.after}${compatibility(c)}`,
+  'union-member:added': c => `Added union member: ${c.name}${compatibility(c)}`,
+  'union-member:removed': c => `Removed union member: ${c.name}${compatibility(c)}`,
+  'extends:added': c => `Now extends ${c.name}${compatibility(c)}`,
+  'extends:removed': c => `No longer extends ${c.name}${compatibility(c)}`,
+  'declaration:added': c => `Added declaration: ${c.name}${compatibility(c)}`,
+  'declaration:removed': c => `Removed declaration: ${c.name}${compatibility(c)}`,
+  'definition:modified': c => `Definition changed: ${c.before} → ${c.after}${compatibility(c)}`,
+  'type-parameters:modified': c => `Type parameters changed: ${c.before || 'none'} → ${c.after || 'none'}${compatibility(c)}`,
+  'api:added': c => `Added to API: ${c.name}${describeOrigin(c.after)}`,
+  'api:removed': c => `Removed from API: ${c.name}${describeOrigin(c.before)}`,
+  'api:modified': c => `API ${c.name} changed${describeOrigin(c.after)}:`,
+  'api:moved': c => `API ${c.name} now comes from ${c.after.file}${c.after.local !== c.name ? ` (${c.after.local})` : ''}`,
+  'file:added': () => 'File added',
+  'file:removed': () => 'File deleted',
+  'file:renamed': c => `File renamed from: ${c.before}${c.after != null ? ` (${c.after}% similar)` : ''}`,
+  'file:copied': c => `File copied from: ${c.before}${c.after != null ? ` (${c.after}% similar)` : ''}`,
+  'file:binary': () => 'Binary file changed',
+  'file:modified': () => 'Code modified'
+};
+
+/**
+ * ` (+ if, fetch(); - return)` for a body change, or '' when only
+ * statements edited in place
+ */
+function describeStatementChanges({ added = [], removed = [] } = {}) {
+  const parts = [];
+  if (added.length > 0) parts.push(`+ ${added.join(', ')}`);
+  if (removed.length > 0) parts.push(`- ${removed.join(', ')}`);
+  return parts.length > 0 ? ` (${parts.join('; ')})` : '';
+}
+
+/**
+ * ` [a, b]` for a hook's dependency array, ` (no dependency array)` when it
+ * takes one but has none
+ */
+function describeDependencies(deps) {
+  if (deps === undefined) return '';
+  return deps === null ? ' (no dependency array)' : ` [${deps.join(', ')}]`;
+}
+
+/**
+ * `added page, removed user` or `[a] → none (re-runs on every render)`
+ */
+function describeDependencyChange({ before, after }) {
+  if (before === null) return `none → [${after.join(', ')}]`;
+  if (after === null) return `[${before.join(', ')}] → none (re-runs on every render)`;
+
+  const parts = [];
+  const added = after.filter(d => !before.includes(d));
+  const removed = before.filter(d => !after.includes(d));
+  if (added.length > 0) parts.push(`added ${added.join(', ')}`);
+  if (removed.length > 0) parts.push(`removed ${removed.join(', ')}`);
+  if (after.length === 0) parts.push('now [] (runs once)');
+  return parts.join(', ');
+}
+
+/**
+ * ` (memo, forwardRef)` for a component record's wrappers
+ */
+function describeWrappers(side) {
+  return side?.wrappers?.length ? ` (${side.wrappers.join(', ')})` : '';
+}
+
+/**
+ * `string → 'a' | 'b', narrowed, now required, default 'md' → 'lg'` for a prop record
+ */
+function describePropChange({ before, after }) {
+  const parts = [];
+  if (before.type !== after.type && before.type && after.type) {
+    parts.push(`${before.type} → ${after.type}`);
+    if (after.typeChange === 'widened' || after.typeChange === 'narrowed') parts.push(after.typeChange);
+  }
+  if (before.required !== after.required) parts.push(after.required ? 'now required' : 'now optional');
+  if (!before.hasDefault && after.hasDefault) parts.push(`now defaults to ${after.defaultValue}`);
+  if (before.hasDefault && !after.hasDefault) parts.push(`no longer has a default (was ${before.defaultValue})`);
+  if (before.hasDefault && after.hasDefault && before.defaultValue !== after.defaultValue) {
+    parts.push(`default ${before.defaultValue} → ${after.defaultValue}`);
+  }
+  if (before.hasDefault && after.hasDefault && before.defaultValue === after.defaultValue) {
+    parts.push('default value changed');
+  }
+  return parts.join(', ');
+}
+
+/**
+ * `, shifting b, c` for a parameter added or removed ahead of existing ones,
+ * whose arguments now land in a different position
+ */
+function describeShifts(param) {
+  if (!param || !param.shifts || param.shifts.length === 0) return '';
+  return `, shifting ${param.shifts.join(', ')}`;
+}
+
+/**
+ * ` (breaking)` / ` (compatible)` suffix for type-level changes, or
+ * ` (compatibility unknown)` for a type change compareTypes() could not judge
+ */
+function compatibility(change) {
+  if (change.breaking) return ' (breaking)';
+  return change.after?.typeChange === 'unknown' ? ' (compatibility unknown)' : ' (compatible)';
+}
+
+/**
+ * `string → string | null, widened, now required` for a TS property,
+ * parameter or return type record
+ */
+function describeTypeChange({ before, after }) {
+  const parts = [];
+  if (before.type !== after.type) {
+    parts.push(`${before.type} → ${after.type}`);
+    if (after.typeChange === 'widened' || after.typeChange === 'narrowed') parts.push(after.typeChange);
+  }
+  if (before.optional !== after.optional) parts.push(after.optional ? 'now optional' : 'now required');
+  if (before.readonly !== after.readonly) parts.push(after.readonly ? 'now readonly' : 'no longer readonly');
+  return parts.join(', ');
+}
+
+/**
+ * `Added default export: App`, `Removed export: parseDate`, `Added export * from './x'`
+ */
+function describeExport(verb, name, form) {
+  if (form === 'default') return `${verb} default export: ${name}`;
+  if (name === '*') return `${verb} export * ${form}`;
+  return `${verb} export: ${name}${form && form !== 'named' ? ` (${form})` : ''}`;
+}
+
+/**
+ * ` (static, private)` for a class member, '' for a public instance member
+ */
+function describeMemberFlags(member) {
+  if (!member) return '';
+  const flags = [];
+  if (member.static) flags.push('static');
+  if (member.visibility === 'private' || member.visibility === 'protected') flags.push(member.visibility);
+  return flags.length > 0 ? ` (${flags.join(', ')})` : '';
+}
+
+/**
+ * `useState`, `format as formatDate`, `type Props`, `default import React`,
+ * `namespace import * as path`
+ */
+function describeSpecifier({ imported, local, typeOnly }) {
+  const prefix = typeOnly ? 'type ' : '';
+  if (imported === '*') return `${prefix}namespace import * as ${local}`;
+  if (imported === 'default') return `${prefix}default import ${local}`;
+  return `${prefix}${imported}${local !== imported ? ` as ${local}` : ''}`;
+}
+
+/**
+ * ` (from src/internal.js)` / ` (from package 'lodash')` for an API surface origin
+ */
+function describeOrigin(origin) {
+  if (!origin || !origin.file) return '';
+  return origin.external ? ` (from package '${origin.file}')` : ` (from ${origin.file})`;
+}
+
+function describeSimilarity(similarity) {
+  return similarity != null && similarity < 100 ? ` (${similarity}% similar)` : '';
+}
+
+/**
+ * Render one record (without its children) to text
+ */
+function renderChange(change) {
+  if (change.message) return change.message;
+
+  const render = RENDERERS[`${change.entity}:${change.kind}`];
+  if (render) return render(change);
+
+  const verb = change.kind.charAt(0).toUpperCase() + change.kind.slice(1);
+  return change.name ? `${verb} ${change.entity}: ${change.name}` : `${verb} ${change.entity}`;
+}
+
+/**
+ * Render records to the flat string list used by the text summary,
+ * with children indented under their parent as `  └─ ...`
+ */
+function renderChanges(changes, depth = 0) {
+  const lines = [];
+  changes.forEach(change => {
+    const prefix = depth === 0 ? '' : '  '.repeat(depth) + '└─ ';
+    lines.push(prefix + renderChange(change));
+    lines.push(...renderChanges(change.children, depth + 1));
+  });
+  return lines;
+}
+
+/**
+ * Depth-first list of records and their children, each paired with its parent
+ */
+function flattenChanges(changes, parent = null) {
+  const flat = [];
+  changes.forEach(change => {
+    flat.push({ change, parent });
+    flat.push(...flattenChanges(change.children, change));
+  });
+  return flat;
+}
+
+// Text-based parsers only report English; these patterns recover what the
+// old string matching in utils.js used to flag as breaking
+const LEGACY_BREAKING_PATTERNS = [
+  /Removed function/i,
+  /Removed class/i,
+  /Removed component/i,
+  /Removed export/i,
+  /Modified function signature/i,
+  /Removed prop/i,
+  /Changed.*from.*to/i
+];
+
+const LEGACY_ENTITIES = [
+  'function', 'class', 'component', 'import', 'export', 'method',
+  'hook', 'parameter', 'selector', 'property', 'prop', 'element', 'attribute'
+];
+
+/**
+ * Lift the string output of the regex/PostCSS parsers into records.
+ * Lines indented with `└─` become children of the preceding line.
+ */
+function fromStrings(lines, defaultEntity = 'code') {
+  const records = [];
+
+  lines.forEach(line => {
+    const child = /^\s+└─\s*/.test(line);
+    const text = line.replace(/^\s*└─\s*/, '').trim();
+    const lead = text.split(':')[0].toLowerCase();
+
+    const record = createChange({
+      kind: inferKind(lead),
+      entity: LEGACY_ENTITIES.find(entity => lead.includes(entity)) || defaultEntity,
+      breaking: LEGACY_BREAKING_PATTERNS.some(pattern => pattern.test(text)),
+      message: text
+    });
+
+    if (child && records.length > 0) {
+      records[records.length - 1].children.push(record);
+    } else {
+      records.push(record);
+    }
+  });
+
+  return records;
+}
+
+function inferKind(lead) {
+  if (/^(added|new)\b|\badded\b/.test(lead)) return 'added';
+  if (/^(removed|deleted)\b|\bremoved\b/.test(lead)) return 'removed';
+  if (/renamed/.test(lead)) return 'renamed';
+  return 'modified';
+}
+
+module.exports = {
+  createChange,
+  spanOf,
+  locate,
+  attachFiles,
+  describeLocation,
+  renderChange,
+  renderChanges,
+  flattenChanges,
+  fromStrings
+};
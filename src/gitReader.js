@@ -1,79 +1,281 @@
 // src/gitReader.js
 const simpleGit = require('simple-git');
+const fs = require('fs');
 const path = require('path');
+const { splitPatch, countPatchLines, parseFileHeader, unquotePath } = require('./patchReader');
+const { matchesPattern } = require('./utils');
 
-async function getDiff(targetBranch, filePattern) {
-  const git = simpleGit();
+/**
+ * simple-git instance for a repository directory (defaults to process.cwd())
+ */
+function createGit(cwd) {
+  return cwd ? simpleGit({ baseDir: cwd }) : simpleGit();
+}
+
+// Pseudo-refs for the two sides git keeps outside of commits
+const INDEX = '(index)';
+const WORKTREE = '(working tree)';
+
+/**
+ * Resolve the CLI range argument and --base/--head/--staged/--worktree
+ * options into a ref pair. `A..B` compares A with B, `A...B` compares the
+ * merge-base of A and B with B, and a single ref is compared against the
+ * working tree.
+ */
+async function resolveRefs(range, options = {}) {
+  const git = createGit(options.cwd);
   
-  const currentBranch = await git.revparse(['--abbrev-ref', 'HEAD']);
-  const diffSummary = await git.diffSummary([targetBranch]);
+  if (options.staged && options.worktree) {
+    throw new Error('--staged and --worktree cannot be combined');
+  }
   
-  const diffs = [];
+  if ((options.staged || options.worktree) && (range || options.base || options.head)) {
+    throw new Error('--staged/--worktree do not take a ref range or --base/--head');
+  }
   
-  for (const file of diffSummary.files) {
-    if (filePattern && !matchesPattern(file.file, filePattern)) {
-      continue;
-    }
-    
-    // Determine file status
-    let status = 'modified';
-    let oldPath = file.file;
-    let newPath = file.file;
-    
-    // Check for new files (all additions, no deletions)
-    if (file.insertions > 0 && file.deletions === 0) {
-      try {
-        await git.show([`${targetBranch}:${file.file}`]);
-      } catch (e) {
-        status = 'added';
-      }
-    }
-    
-    // Check for deleted files (all deletions, no additions)
-    if (file.deletions > 0 && file.insertions === 0) {
-      try {
-        await git.show([`HEAD:${file.file}`]);
-      } catch (e) {
-        status = 'deleted';
-      }
+  if (options.staged) {
+    return { base: 'HEAD', head: INDEX, mode: 'staged' };
+  }
+  
+  if (options.worktree) {
+    return { base: INDEX, head: WORKTREE, mode: 'worktree' };
+  }
+  
+  if (range && (options.base || options.head)) {
+    throw new Error('Use either a ref range or --base/--head, not both');
+  }
+  
+  if (options.head && !options.base) {
+    throw new Error('--head requires --base');
+  }
+  
+  if (options.base) {
+    return { base: options.base, head: options.head || WORKTREE, mode: 'range' };
+  }
+  
+  if (!range) {
+    throw new Error('Specify a target branch, a ref range (A..B, A...B), --base, --staged or --worktree');
+  }
+  
+  const threeDot = range.match(/^(.*?)\.\.\.(.*)$/);
+  if (threeDot) {
+    const left = threeDot[1] || 'HEAD';
+    const head = threeDot[2] || 'HEAD';
+    const mergeBase = (await git.raw(['merge-base', left, head])).trim();
+    return { base: mergeBase, head, mode: 'range', range };
+  }
+  
+  const twoDot = range.match(/^(.*?)\.\.(.*)$/);
+  if (twoDot) {
+    return { base: twoDot[1] || 'HEAD', head: twoDot[2] || 'HEAD', mode: 'range', range };
+  }
+  
+  return { base: range, head: WORKTREE, mode: 'range' };
+}
+
+/**
+ * Human-readable label for a ref pair
+ */
+function describeRefs(refs) {
+  if (refs.mode === 'staged') return 'staged changes (index vs HEAD)';
+  if (refs.mode === 'worktree') return 'unstaged changes (working tree vs index)';
+  if (refs.range) return refs.range;
+  return refs.head === WORKTREE ? `${refs.base} vs working tree` : `${refs.base}..${refs.head}`;
+}
+
+/**
+ * Build `git diff` arguments that compare refs.base with refs.head
+ */
+function buildDiffArgs(refs) {
+  if (refs.base === INDEX && refs.head === WORKTREE) return [];
+  if (refs.head === INDEX) return ['--cached', refs.base];
+  if (refs.head === WORKTREE) return [refs.base];
+  return [refs.base, refs.head];
+}
+
+/**
+ * Read a file as it exists at a commit-ish, in the index or in the working tree.
+ * Returns null when the file does not exist on that side.
+ */
+async function readFileAtRef(git, ref, filepath) {
+  try {
+    if (ref === WORKTREE) {
+      const root = (await git.revparse(['--show-toplevel'])).trim();
+      return await fs.promises.readFile(path.join(root, filepath), 'utf8');
     }
-    
-    // Check for renames using git status
-    const statusResult = await git.status();
-    const renamedFile = statusResult.renamed.find(r => 
-      r.to === file.file || r.from === file.file
-    );
-    
-    if (renamedFile) {
-      status = 'renamed';
-      oldPath = renamedFile.from;
-      newPath = renamedFile.to;
+    const spec = ref === INDEX ? `:${filepath}` : `${ref}:${filepath}`;
+    return await git.show([spec]);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Parent used for root commits so their diff shows every file as added
+const EMPTY_TREE = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
+
+/**
+ * List non-merge commits in base..head, oldest first, each with the ref pair
+ * that isolates its own changes (first parent → commit).
+ */
+async function getCommits(refs, cwd) {
+  const git = createGit(cwd);
+  
+  if (refs.head === INDEX || refs.head === WORKTREE || refs.base === INDEX) {
+    throw new Error('Per-commit analysis needs a commit range (A..B, A...B or --base/--head)');
+  }
+  
+  const format = ['%H', '%P', '%an', '%ae', '%aI', '%s'].join('%x1f') + '%x1e';
+  const output = await git.raw([
+    'log', '--reverse', '--no-merges', `--format=${format}`, `${refs.base}..${refs.head}`
+  ]);
+  
+  return output
+    .split('\x1e')
+    .map(record => record.trim())
+    .filter(Boolean)
+    .map(record => {
+      const [sha, parents, author, email, date, subject] = record.split('\x1f');
+      const parent = parents.split(' ')[0] || EMPTY_TREE;
+      
+      return {
+        sha,
+        shortSha: sha.slice(0, 7),
+        author,
+        email,
+        date,
+        subject,
+        refs: { base: parent, head: sha, mode: 'range' }
+      };
+    });
+}
+
+// git --name-status letters → analyzer statuses
+const STATUS_LETTERS = {
+  A: 'added',
+  D: 'deleted',
+  M: 'modified',
+  T: 'modified', // type change (e.g. file → symlink)
+  R: 'renamed',
+  C: 'copied',
+  U: 'modified' // unmerged
+};
+
+/**
+ * Collect every changed file with two git calls: one `--name-status -z`
+ * listing and one unified patch, split per file.
+ */
+async function getDiff(refs, filePattern, cwd) {
+  const git = createGit(cwd);
+  
+  const diffArgs = buildDiffArgs(refs);
+  const nameStatus = await git.raw(['diff', '--name-status', '-M', '-C', '-z', ...diffArgs]);
+  const patch = await git.raw(['diff', '--no-color', '--no-ext-diff', '-M', '-C', ...diffArgs]);
+  
+  const entries = collapseUnmerged(parseNameStatus(nameStatus));
+  const patches = pairPatches(entries, splitPatch(patch));
+  
+  const diffs = [];
+  
+  entries.forEach((entry, i) => {
+    if (filePattern && !matchesPattern(entry.path, filePattern)) {
+      return;
     }
     
-    const diff = await git.diff([targetBranch, '--', file.file]);
+    const diff = patches[i];
+    const stats = countPatchLines(diff);
     
     diffs.push({
-      path: file.file,
-      oldPath: oldPath,
-      newPath: newPath,
-      status: status,
-      extension: path.extname(file.file),
+      path: entry.path,
+      oldPath: entry.oldPath,
+      newPath: entry.path,
+      status: entry.status,
+      similarity: entry.similarity,
+      extension: path.extname(entry.path),
       diff: diff,
-      insertions: file.insertions,
-      deletions: file.deletions,
-      binary: file.binary
+      insertions: stats.insertions,
+      deletions: stats.deletions,
+      binary: stats.binary
     });
-  }
+  });
   
   return diffs;
 }
 
-function matchesPattern(filename, pattern) {
-  const patterns = pattern.split(',').map(p => p.trim());
-  return patterns.some(p => {
-    const regex = new RegExp(p.replace(/\*/g, '.*').replace(/\./g, '\\.'));
-    return regex.test(filename);
+/**
+ * A conflicted path is listed once as unmerged (`U`) and again with the
+ * status of one side, but gets a single combined (`diff --cc`) patch:
+ * keep only the unmerged entry
+ */
+function collapseUnmerged(entries) {
+  const unmerged = new Set(entries.filter(e => e.unmerged).map(e => e.path));
+  return entries.filter(entry => entry.unmerged || !unmerged.has(entry.path));
+}
+
+/**
+ * The patch of each entry, in entry order. Both git calls walk the same diff
+ * queue, so they normally line up by index; otherwise patches are matched
+ * to entries by the path in their header, and entries without one get ''.
+ */
+function pairPatches(entries, patches) {
+  if (patches.length === entries.length) return patches;
+
+  const byPath = new Map();
+  patches.forEach(chunk => {
+    const chunkPath = patchPath(chunk);
+    if (chunkPath && !byPath.has(chunkPath)) byPath.set(chunkPath, chunk);
   });
+  return entries.map(entry => byPath.get(entry.path) || '');
+}
+
+/**
+ * Path a patch chunk applies to (its new side, or the old one for deletions)
+ */
+function patchPath(chunk) {
+  const combined = chunk.split('\n')[0].match(/^diff --(?:cc|combined) (.+)$/);
+  if (combined) return unquotePath(combined[1]);
+  return parseFileHeader(chunk).path;
+}
+
+/**
+ * Parse `git diff --name-status -z` output.
+ * Records are `X\0path\0`, or `R<score>\0old\0new\0` for renames and copies,
+ * where score is git's similarity percentage between old and new content.
+ */
+function parseNameStatus(output) {
+  const tokens = output.split('\0');
+  const entries = [];
+  let i = 0;
+  
+  while (i < tokens.length) {
+    const code = tokens[i++];
+    if (!code) continue;
+    
+    const letter = code[0];
+    const status = STATUS_LETTERS[letter] || 'modified';
+    
+    if (letter === 'R' || letter === 'C') {
+      const oldPath = tokens[i++];
+      const newPath = tokens[i++];
+      const similarity = parseInt(code.slice(1), 10);
+      entries.push({ status, oldPath, path: newPath, similarity: isNaN(similarity) ? null : similarity });
+    } else {
+      const filePath = tokens[i++];
+      entries.push({ status, oldPath: filePath, path: filePath, similarity: null, unmerged: letter === 'U' });
+    }
+  }
+  
+  return entries;
 }
 
-module.exports = { getDiff };
\ No newline at end of file
+module.exports = {
+  createGit,
+  getDiff,
+  getCommits,
+  resolveRefs,
+  describeRefs,
+  readFileAtRef,
+  parseNameStatus,
+  pairPatches,
+  INDEX,
+  WORKTREE
+};
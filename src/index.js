@@ -1,76 +1,256 @@
-// src/index.js - Updated to pass target branch to analyzer
-const { getDiff } = require('./gitReader');
+// src/index.js - Programmatic API (analyze, analyzeCommits); the CLI wraps it
+const { getDiff, getCommits, resolveRefs, describeRefs, WORKTREE } = require('./gitReader');
+const { readPatch, parsePatch } = require('./patchReader');
 const { analyzeChanges } = require('./changeAnalyzer');
-const { formatSummary } = require('./summaryFormatter');
+const { analyzeApiSurface } = require('./apiSurface');
+const {
+  formatSummary,
+  formatCommitBreakdown,
+  formatApiSurface,
+  calculateStatistics
+} = require('./summaryFormatter');
+const { silentLogger } = require('./utils');
 
-async function analyzeDiff(targetBranch, options) {
-  console.log(`\n🔍 Analyzing diff against ${targetBranch}...\n`);
+/**
+ * Analyze a diff and resolve to the results without printing anything.
+ *
+ * Options:
+ *   base, head     - refs to compare (head defaults to the working tree)
+ *   range          - 'A..B', 'A...B' or a single ref, instead of base/head
+ *   staged         - index vs HEAD;  worktree - working tree vs index
+ *   patch          - unified diff text to analyze instead of git refs
+ *   cwd            - repository directory (defaults to process.cwd())
+ *   files          - glob list ("*.js,*.jsx" or an array) to restrict files
+ *   risk           - include risk scoring
+ *   api            - report API surface changes: true to use the package.json
+ *                    entry points, or entry files ("src/index.js" or an array)
+ *   logger         - { log, warn } for progress output (silent by default)
+ *
+ * Resolves to { refs, analysis, statistics, apiSurface } (apiSurface is null
+ * unless requested).
+ */
+async function analyze(options = {}) {
+  const logger = options.logger || silentLogger;
+  const files = normalizeFilePattern(options.files);
+  let refs = null;
+  let diffs;
   
-  // Get diffs from git
-  const diffs = await getDiff(targetBranch, options.files);
+  if (options.patch != null) {
+    if (options.range || options.base || options.head || options.staged || options.worktree) {
+      throw new Error('--patch does not take a ref range, --base/--head, --staged or --worktree');
+    }
+    if (options.api) {
+      throw new Error('--api needs git refs, not --patch');
+    }
+    
+    // No refs: analyzers fall back to hunk-based parsing
+    diffs = parsePatch(options.patch, files);
+  } else {
+    refs = await resolveRefs(options.range, options);
+    logger.log(`\n🔍 Analyzing diff ${describeRefs(refs)}...\n`);
+    
+    // Get diffs from git
+    diffs = await getDiff(refs, files, options.cwd);
+  }
   
-  if (diffs.length === 0) {
-    console.log('No changes detected.');
-    return;
+  if (diffs.length > 0) {
+    logger.log(`📊 Found ${diffs.length} changed file(s)\n`);
+  }
+  
+  // Pass the same refs to analyzer so full-file AST parsing matches the diff
+  const analysis = await analyzeChanges(diffs, {
+    ...options,
+    files,
+    logger,
+    refs // Important: pass base/head refs for git.show()
+  });
+  
+  let apiSurface = null;
+  if (options.api) {
+    apiSurface = await analyzeApiSurface({
+      refs,
+      entries: normalizeEntries(options.api),
+      cwd: options.cwd,
+      analysis,
+      logger
+    });
   }
   
-  console.log(`📊 Found ${diffs.length} changed file(s)\n`);
+  return {
+    refs,
+    analysis,
+    statistics: buildStatistics(analysis),
+    apiSurface
+  };
+}
+
+/**
+ * Run analyzeChanges once per commit in the range so every change is
+ * attributed to the commit (and author) that introduced it.
+ * Takes the same options as analyze(); resolves to { refs, commits, statistics }.
+ */
+async function analyzeCommits(options = {}) {
+  const logger = options.logger || silentLogger;
+  const files = normalizeFilePattern(options.files);
+  const refs = await resolveRefs(options.range, options);
+  
+  // A bare target branch means "up to the current commit" here
+  const range = refs.head === WORKTREE ? { ...refs, head: 'HEAD' } : refs;
   
-  // Pass target branch to analyzer for full-file AST parsing
-  const analysisOptions = {
+  const commits = await getCommits(range, options.cwd);
+  
+  logger.log(`\n🔍 Analyzing commits in ${describeRefs(range)}...\n`);
+  if (commits.length > 0) {
+    logger.log(`📊 Found ${commits.length} commit(s)\n`);
+  }
+  
+  const breakdown = [];
+  
+  for (const commit of commits) {
+    const diffs = await getDiff(commit.refs, files, options.cwd);
+    if (diffs.length === 0) continue;
+    
+    const analysis = await analyzeChanges(diffs, { ...options, files, logger, refs: commit.refs });
+    
+    // Tag every file result with the commit that produced it
+    analysis.forEach(item => {
+      item.commit = commit.sha;
+      item.author = commit.author;
+    });
+    
+    const { refs: commitRefs, ...commitInfo } = commit;
+    breakdown.push({ commit: commitInfo, analysis });
+  }
+  
+  return {
+    refs: range,
+    commits: breakdown,
+    statistics: buildStatistics(breakdown.flatMap(entry => entry.analysis))
+  };
+}
+
+/**
+ * CLI entry: run the API with console logging and print the result
+ */
+async function analyzeDiff(range, options) {
+  // `diff-insight -` is shorthand for `--patch -`
+  const patchSource = options.patch || (range === '-' ? '-' : null);
+  // With --json, stdout carries only the JSON document; progress goes to stderr
+  const logger = options.json ? stderrLogger : console;
+  const apiOptions = {
     ...options,
-    targetBranch // Important: pass target branch for git.show()
+    range: range === '-' ? undefined : range,
+    patch: undefined,
+    logger
   };
   
-  // Analyze changes with AST + fallback
-  const analysis = await analyzeChanges(diffs, analysisOptions);
+  if (patchSource) {
+    if (options.perCommit) {
+      throw new Error('--per-commit needs git refs, not --patch');
+    }
+    if (options.api) {
+      throw new Error('--api needs git refs, not --patch');
+    }
+    logger.log(`\n🔍 Analyzing patch ${patchSource === '-' ? 'from stdin' : patchSource}...\n`);
+    apiOptions.patch = await readPatch(patchSource);
+  }
+  
+  if (options.perCommit) {
+    if (options.api) {
+      throw new Error('--api reports the whole range; it cannot be combined with --per-commit');
+    }
+    const result = await analyzeCommits(apiOptions);
+    
+    if (options.json) {
+      console.log(JSON.stringify(result.commits, null, 2));
+      return;
+    }
+    
+    if (result.commits.length === 0) {
+      console.log('No commits in range.');
+      return;
+    }
+    
+    console.log(formatCommitBreakdown(result.commits, options));
+    printParserStatistics(result.statistics.parsers);
+    return;
+  }
+  
+  const { analysis, statistics, apiSurface } = await analyze(apiOptions);
   
   // Output results
   if (options.json) {
-    console.log(JSON.stringify(analysis, null, 2));
-  } else {
-    const summary = formatSummary(analysis, options);
-    console.log(summary);
+    const output = apiSurface ? { analysis, apiSurface } : analysis;
+    console.log(JSON.stringify(output, null, 2));
+    return;
   }
   
-  // Summary statistics
-  const astSuccesses = analysis.filter(a => a.parseMethod === 'ast-full-file').length;
-  const regexFallbacks = analysis.filter(a => a.parseMethod === 'regex-fallback').length;
-  const genericFallbacks = analysis.filter(a => a.parseMethod === 'generic-fallback').length;
+  if (analysis.length === 0) {
+    console.log('No changes detected.');
+    return;
+  }
   
-  if (astSuccesses > 0 || regexFallbacks > 0) {
+  const summary = formatSummary(analysis, options);
+  console.log(summary);
+  if (apiSurface) {
+    console.log(formatApiSurface(apiSurface));
+  }
+  
+  printParserStatistics(statistics.parsers);
+}
+
+// Progress for --json runs, kept off stdout
+const stderrLogger = {
+  log: (...args) => console.error(...args),
+  warn: (...args) => console.warn(...args)
+};
+
+/**
+ * Accept "*.js,*.jsx" or ['*.js', '*.jsx']
+ */
+function normalizeFilePattern(files) {
+  return Array.isArray(files) ? files.join(',') : files;
+}
+
+/**
+ * `true` (detect from package.json), "a.js,b.js" or ['a.js', 'b.js']
+ */
+function normalizeEntries(api) {
+  if (api === true) return [];
+  const entries = Array.isArray(api) ? api : String(api).split(',');
+  return entries.map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Summary counts plus which parser handled each file
+ */
+function buildStatistics(analysis) {
+  return {
+    ...calculateStatistics(analysis),
+    parsers: {
+      astFullFile: analysis.filter(a => a.parseMethod === 'ast-full-file').length,
+      regexFallback: analysis.filter(a => a.parseMethod === 'regex-fallback').length,
+      genericFallback: analysis.filter(a => a.parseMethod === 'generic-fallback').length
+    }
+  };
+}
+
+/**
+ * Report which parser handled each file
+ */
+function printParserStatistics(parsers) {
+  if (parsers.astFullFile > 0 || parsers.regexFallback > 0) {
     console.log('\n📈 Parser Statistics:');
-    if (astSuccesses > 0) {
-      console.log(`  ✓ AST Full-File: ${astSuccesses} file(s)`);
+    if (parsers.astFullFile > 0) {
+      console.log(`  ✓ AST Full-File: ${parsers.astFullFile} file(s)`);
     }
-    if (regexFallbacks > 0) {
-      console.log(`  ⚠ Regex Fallback: ${regexFallbacks} file(s)`);
+    if (parsers.regexFallback > 0) {
+      console.log(`  ⚠ Regex Fallback: ${parsers.regexFallback} file(s)`);
     }
-    if (genericFallbacks > 0) {
-      console.log(`  ⚠ Generic Fallback: ${genericFallbacks} file(s)`);
+    if (parsers.genericFallback > 0) {
+      console.log(`  ⚠ Generic Fallback: ${parsers.genericFallback} file(s)`);
     }
   }
 }
 
-module.exports = { analyzeDiff };
-
-// // src/index.js
-// const { getDiff } = require('./gitReader');
-// const { analyzeChanges } = require('./changeAnalyzer');
-// const { formatSummary } = require('./summaryFormatter');
-
-// async function analyzeDiff(targetBranch, options) {
-//   console.log(`Analyzing diff against ${targetBranch}...`);
-  
-//   const diffs = await getDiff(targetBranch, options.files);
-//   const analysis = await analyzeChanges(diffs, options);
-  
-//   if (options.json) {
-//     console.log(JSON.stringify(analysis, null, 2));
-//   } else {
-//     const summary = formatSummary(analysis, options);
-//     console.log(summary);
-//   }
-// }
-
-// module.exports = { analyzeDiff };
\ No newline at end of file
+module.exports = { analyze, analyzeCommits, analyzeDiff };
@@ -1,25 +1,57 @@
 // src/parser/astParser.js
 const parser = require('@babel/parser');
 const acorn = require('acorn');
-const simpleGit = require('simple-git');
+const { createGit, readFileAtRef, WORKTREE } = require('../gitReader');
+const { silentLogger } = require('../utils');
+const { createChange, locate, spanOf, attachFiles } = require('../changeModel');
+const { fingerprint, compareBodies, matchFunctions } = require('./astShape');
+const {
+  walk,
+  isComponentName,
+  returnsJSX,
+  unwrapComponent,
+  hookName,
+  isBuiltinHook,
+  dependencyList,
+  hasCleanup,
+  cleanupFunctions,
+  hookCallback,
+  ownHookCalls,
+  stateVariables,
+  findHookViolations,
+  renderElements,
+  propTypeInfo,
+  isPropsObject
+} = require('./reactAnalysis');
+const {
+  typeToString,
+  typeParameters,
+  entityName,
+  propertyKey,
+  memberToString,
+  signatureToString,
+  unionMembers,
+  compareTypes
+} = require('./tsTypes');
 
 /**
  * Industry-grade AST parser - parses FULL files, not just diffs
  * Similar to GitHub, Sourcegraph, CodeQL approach
  */
 class ASTParser {
-  constructor() {
-    this.git = simpleGit();
+  constructor(options = {}) {
+    this.git = createGit(options.cwd);
+    this.logger = options.logger || silentLogger;
   }
 
   /**
    * Main entry: Parse full files and perform semantic diffing
    */
-  async analyzeFile(filepath, targetBranch, diffInfo) {
+  async analyzeFile(filepath, refs, diffInfo) {
     try {
-      // Step 1: Get FULL file content from both commits
-      const oldContent = await this.getFullFileContent(filepath, targetBranch);
-      const newContent = await this.getFullFileContent(filepath, 'HEAD');
+      // Step 1: Get FULL file content from both commits (old side follows renames/copies)
+      const oldContent = await this.getFullFileContent(diffInfo.oldPath || filepath, refs.base);
+      const newContent = await this.getFullFileContent(filepath, refs.head || WORKTREE);
 
       // Step 2: Select appropriate parser
       const parserType = this.selectParser(filepath, newContent);
@@ -31,36 +63,93 @@ class ASTParser {
       // Step 4: Map diff ranges to AST nodes
       const affectedRanges = this.extractDiffRanges(diffInfo.diff);
       
-      // Step 5: Perform semantic AST diffing
+      // Step 5: Extract structured information
+      const oldStructure = this.extractCodeStructure(oldAST);
+      const newStructure = this.extractCodeStructure(newAST);
+      
+      // Step 6: Perform semantic AST diffing
+      const oldFilepath = diffInfo.oldPath || filepath;
       const semanticChanges = this.performSemanticDiff(
-        oldAST, 
-        newAST, 
+        oldStructure, 
+        newStructure, 
         affectedRanges,
-        filepath
+        filepath,
+        oldFilepath
       );
 
       return {
         success: true,
-        changes: semanticChanges,
+        records: semanticChanges,
+        // Still-unpaired functions, for cross-file move detection
+        functions: {
+          removed: this.functionsReportedAs('removed', semanticChanges, oldStructure.functions, oldFilepath),
+          added: this.functionsReportedAs('added', semanticChanges, newStructure.functions, filepath)
+        },
         parserType,
         method: 'ast-full-file'
       };
 
     } catch (error) {
-      console.warn(`AST parsing failed for ${filepath}: ${error.message}`);
+      this.logger.warn(`AST parsing failed for ${filepath}: ${error.message}`);
       throw error; // Let caller handle fallback
     }
   }
 
   /**
-   * Get complete file content at specific git ref
+   * Every top-level named function in a file at a ref, tagged with the file
+   * path (added/deleted files take part in cross-file move detection;
+   * callbacks and nested helpers move with their parent)
+   */
+  async listFunctions(filepath, ref) {
+    const content = await this.getFullFileContent(filepath, ref);
+    const ast = this.parseFullAST(content, this.selectParser(filepath, content));
+    return this.extractCodeStructure(ast).functions
+      .filter(func => !func.scope && !func.anonymous)
+      .map(func => ({ ...func, file: filepath }));
+  }
+
+  /**
+   * Functions behind top-level `function:<kind>` records, tagged with their file
+   */
+  functionsReportedAs(kind, changes, funcs, filepath) {
+    return changes
+      .filter(c => c.entity === 'function' && c.kind === kind)
+      .map(c => funcs.find(f => f.name === c.name))
+      .filter(Boolean)
+      .map(func => ({ ...func, file: filepath }));
+  }
+
+  /**
+   * Pair functions removed from one file with functions added to another.
+   * Takes the `{ removed, added }` lists gathered across the whole diff and
+   * returns [{ oldFunc, newFunc, record }] with a `function:moved` record each.
+   */
+  detectMovedFunctions({ removed, added }) {
+    return matchFunctions(removed, added, (oldFunc, newFunc) => oldFunc.file !== newFunc.file)
+      .map(({ oldFunc, newFunc, similarity }) => {
+        const funcChanges = this.compareFunctions(oldFunc, newFunc);
+        const record = createChange({
+          kind: 'moved',
+          entity: 'function',
+          name: newFunc.name,
+          before: { file: oldFunc.file, name: oldFunc.name },
+          after: { file: newFunc.file, name: newFunc.name, similarity },
+          location: locate(oldFunc, newFunc),
+          severity: maxSeverity([{ severity: 'low' }, ...funcChanges]),
+          breaking: funcChanges.some(c => c.breaking),
+          children: funcChanges
+        });
+        attachFiles([record], oldFunc.file, newFunc.file);
+        return { oldFunc, newFunc, record };
+      });
+  }
+
+  /**
+   * Get complete file content at specific git ref, the index or the working tree
    */
   async getFullFileContent(filepath, ref) {
-    try {
-      return await this.git.show([`${ref}:${filepath}`]);
-    } catch (error) {
-      return ''; // File doesn't exist at this ref (new/deleted)
-    }
+    const content = await readFileAtRef(this.git, ref, filepath);
+    return content === null ? '' : content; // File doesn't exist at this ref (new/deleted)
   }
 
   /**
@@ -216,36 +305,157 @@ class ASTParser {
    * SEMANTIC DIFFING - The core intelligence
    * Compare ASTs structurally, not textually
    */
-  performSemanticDiff(oldAST, newAST, affectedRanges, filepath) {
+  performSemanticDiff(oldStructure, newStructure, affectedRanges, filepath, oldFilepath = filepath) {
     const changes = [];
 
-    // Extract structured information
-    const oldStructure = this.extractCodeStructure(oldAST);
-    const newStructure = this.extractCodeStructure(newAST);
-
-    // 1. Function-level semantic diff
-    changes.push(...this.diffFunctions(oldStructure.functions, newStructure.functions));
+    // 1. Function-level semantic diff, cross-referenced with the diff hunks
+    const functionChanges = this.diffFunctions(oldStructure.functions, newStructure.functions);
+    this.dropPropsParameter(functionChanges, oldStructure, newStructure);
+    this.mapRangesToFunctions(
+      functionChanges,
+      affectedRanges,
+      oldStructure.functions,
+      newStructure.functions
+    );
+    changes.push(...functionChanges);
 
     // 2. Class-level semantic diff
     changes.push(...this.diffClasses(oldStructure.classes, newStructure.classes));
 
     // 3. Import/Export changes
     changes.push(...this.diffImports(oldStructure.imports, newStructure.imports));
+    changes.push(...this.detectImportIssues(oldStructure, newStructure));
     changes.push(...this.diffExports(oldStructure.exports, newStructure.exports));
 
     // 4. Variable declarations
     changes.push(...this.diffVariables(oldStructure.variables, newStructure.variables));
 
-    // 5. React-specific analysis
+    // 5. TypeScript declarations (interfaces, type aliases, enums, namespaces)
+    changes.push(...this.diffTypeDeclarations(oldStructure.types, newStructure.types));
+
+    // 6. React-specific analysis
     if (oldStructure.isReact || newStructure.isReact) {
-      changes.push(...this.diffReactComponents(
+      const componentChanges = this.diffReactComponents(
         oldStructure.components,
         newStructure.components
+      );
+      changes.push(...componentChanges);
+      changes.push(...this.diffHooks(
+        oldStructure.hooks,
+        newStructure.hooks,
+        renamedOwners([...functionChanges, ...componentChanges])
       ));
-      changes.push(...this.diffHooks(oldStructure.hooks, newStructure.hooks));
+      changes.push(...this.detectHookIssues(oldStructure, newStructure, affectedRanges));
+    }
+
+    return attachFiles(changes.filter(c => c !== null), oldFilepath, filepath);
+  }
+
+  /**
+   * A function component's props parameter is diffed as its props contract
+   * (diffReactComponents), so its function record does not repeat it as an
+   * added, removed or re-destructured parameter
+   */
+  dropPropsParameter(functionChanges, oldStructure, newStructure) {
+    const componentNames = new Set(newStructure.components.filter(c => c.kind === 'function').map(c => c.name));
+
+    functionChanges.forEach((change, index) => {
+      if (change.entity !== 'function' || !componentNames.has(change.name)) return;
+      const newFunc = newStructure.functions.find(f => f.name === change.name);
+      const oldFunc = oldStructure.functions.find(f => f.name === (change.before?.name || change.name));
+      const propsNames = new Set([oldFunc?.params[0]?.name, newFunc?.params[0]?.name].filter(Boolean));
+      if (propsNames.size === 0) return;
+
+      change.children = change.children.filter(c => !(PROPS_PARAMETER_ENTITIES.includes(c.entity) && propsNames.has(c.name)));
+      change.breaking = change.children.some(c => c.breaking);
+      change.severity = maxSeverity(change.kind === 'renamed' ? [{ severity: 'low' }, ...change.children] : change.children);
+      if (change.kind === 'modified' && change.children.length === 0) functionChanges[index] = null;
+    });
+
+    for (let i = functionChanges.length - 1; i >= 0; i--) {
+      if (functionChanges[i] === null) functionChanges.splice(i, 1);
     }
+  }
+
+  /**
+   * Cross-reference changed line ranges with functions: record which hunks
+   * touched each function, and report functions a hunk touched even though
+   * nothing about them was found to differ (e.g. an unclassified header edit)
+   */
+  mapRangesToFunctions(changes, affectedRanges, oldFuncs, newFuncs) {
+    const touched = new Map();
+
+    affectedRanges.forEach(range => {
+      // Removed lines are numbered in the old file, added lines in the new one
+      const side = range.type === 'removed' ? 'old' : 'new';
+      const funcs = side === 'old' ? oldFuncs : newFuncs;
+      const owners = new Set([
+        this.innermostFunction(funcs, range.start),
+        this.innermostFunction(funcs, range.end)
+      ]);
+
+      owners.forEach(func => {
+        if (!func) return;
+        // Only the part of the hunk inside the function counts as its change
+        const span = spanOf(func);
+        if (!touched.has(func.name)) touched.set(func.name, { old: [], new: [] });
+        touched.get(func.name)[side].push({
+          start: Math.max(range.start, span.start),
+          end: Math.min(range.end, span.end)
+        });
+      });
+    });
+
+    touched.forEach((changed, name) => {
+      // Renamed (and renumbered anonymous) functions are touched under their old name on the old side
+      let record = changes.find(c =>
+        c.entity === 'function' &&
+        (c.kind === 'modified' || c.kind === 'renamed') &&
+        (c.name === name || (c.before && c.before.name === name))
+      );
+
+      if (!record) {
+        const oldFunc = oldFuncs.find(f => f.name === name);
+        const newFunc = newFuncs.find(f => f.name === name);
+        if (!oldFunc || !newFunc) return; // Added/removed functions are already reported
+
+        record = createChange({
+          kind: 'modified',
+          entity: 'function',
+          name,
+          location: locate(oldFunc, newFunc),
+          severity: 'info',
+          children: [createChange({ kind: 'identical', entity: 'body', name, severity: 'info' })]
+        });
+        changes.push(record);
+      }
+
+      record.location = record.location || { old: null, new: null };
+      const existing = record.location.changed || { old: [], new: [] };
+      record.location.changed = {
+        old: [...existing.old, ...changed.old],
+        new: [...existing.new, ...changed.new]
+      };
+    });
+  }
+
+  /**
+   * Smallest function whose span contains the given line
+   */
+  innermostFunction(funcs, line) {
+    let best = null;
+    let bestSize = Infinity;
+
+    funcs.forEach(func => {
+      const span = spanOf(func);
+      if (!span || line < span.start || line > span.end) return;
+      if (span.end - span.start < bestSize) {
+        best = func;
+        bestSize = span.end - span.start;
+      }
+    });
 
-    return changes.filter(c => c !== null);
+    return best;
   }
 
   /**
@@ -260,35 +470,171 @@ class ASTParser {
       variables: [],
       components: [],
       hooks: [],
+      types: [],
+      references: new Map(), // identifier name → times read (see isReference)
       isReact: false
     };
+    const declaredFunctions = []; // { node, name }: TS overload signatures and `declare function`
+    const boundRequires = new Set(); // require() calls already recorded via their declarator
+    const requireBindings = new Set(); // identifiers bound by `const x = require()`
+
+    const scopes = new Map(); // function body → qualified name of its function
+    const anonymousCounts = new Map(); // `scope|label` → anonymous functions numbered so far
+    const roles = new Map(); // anonymous function → what it is for: `map callback`, `onClick handler`
+
+    const countReference = (name) => {
+      structure.references.set(name, (structure.references.get(name) || 0) + 1);
+    };
+
+    // Functions nested in another are named `outer > inner`, so local
+    // helpers with the same name in different functions stay apart.
+    // Members of a TS namespace are named `N.f`.
+    const addFunctions = (funcs, scope, namespace) => {
+      funcs.forEach(func => {
+        if (scope) {
+          func.name = `${scope} > ${func.name}`;
+          func.scope = scope;
+        } else if (namespace) {
+          func.name = `${namespace}.${func.name}`;
+        }
+        structure.functions.push(func);
+        scopes.set(func.body, func.name);
+      });
+    };
+
+    const propDeclarations = []; // propTypes / defaultProps assigned to components
+    const wrappedComponents = []; // `memo(Button)` wrapping a component declared elsewhere in the file
+
+    // Capitalized functions that return JSX are function components, and so
+    // is an anonymous default export that returns JSX (named `default`)
+    const addComponent = (func, funcNode, declaredType, wrappers = []) => {
+      const unqualified = localName(func).split('.').pop();
+      if (!(isComponentName(unqualified) || func.name === 'default') || !returnsJSX(funcNode)) return;
+      structure.components.push({
+        name: func.name,
+        kind: 'function',
+        wrappers,
+        props: this.extractFunctionProps(funcNode, declaredType),
+        body: funcNode.body,
+        loc: func.loc
+      });
+      structure.isReact = true;
+    };
 
-    const traverse = (node, parent = null) => {
+    // namespace: qualified name of the TS namespace being walked, if any
+    const traverse = (node, parent = null, scope = null, namespace = null) => {
       if (!node || typeof node !== 'object') return;
+      if (scopes.has(node)) scope = scopes.get(node);
+      const qualify = info => (namespace && !scope ? { ...info, name: `${namespace}.${info.name}` } : info);
 
       switch (node.type) {
-        case 'FunctionDeclaration':
-          structure.functions.push(this.extractFunctionDetails(node));
+        case 'FunctionDeclaration': {
+          const func = this.extractFunctionDetails(node);
+          if (!node.id && parent?.type === 'ExportDefaultDeclaration') func.name = 'default';
+          addFunctions([func], scope, namespace);
+          addComponent(func, node, null);
+          break;
+        }
+
+        case 'ArrowFunctionExpression':
+        case 'FunctionExpression':
+          // Not recorded under a name by its parent: a callback (`callback#2`)
+          // or another anonymous function. IIFEs only wrap code and are skipped.
+          if (!scopes.has(node.body) && parent?.callee !== node) {
+            const label = CALLBACK_PARENTS.includes(parent?.type) ? 'callback' : 'anonymous';
+            const key = `${scope}|${label}`;
+            const ordinal = (anonymousCounts.get(key) || 0) + 1;
+            anonymousCounts.set(key, ordinal);
+            addFunctions([{
+              ...this.extractFunctionDetails(node),
+              name: node.id ? node.id.name : `${label}#${ordinal}`,
+              anonymous: !node.id,
+              role: roles.get(node)
+            }], scope, namespace);
+          }
+          break;
+
+        case 'ObjectMethod':
+          // Methods of objects that are not assigned anywhere, e.g. passed as options
+          if (!scopes.has(node.body) && node.kind === 'method' && !node.computed) {
+            addFunctions([{ ...this.extractFunctionDetails(node), name: propertyKey(node.key) }], scope, namespace);
+          }
           break;
 
-        case 'VariableDeclarator':
-          if (node.init?.type === 'ArrowFunctionExpression' || 
-              node.init?.type === 'FunctionExpression') {
-            structure.functions.push(this.extractFunctionDetails(node, node.init));
+        case 'VariableDeclarator': {
+          const wrapped = unwrapComponent(node.init);
+          if (isFunctionExpression(node.init)) {
+            const func = this.extractFunctionDetails(node, node.init);
+            addFunctions([func], scope, namespace);
+            addComponent(func, node.init, node.id.typeAnnotation);
+          } else if (wrapped?.func) {
+            // `const Card = memo(() => ...)`: the wrapped function is the component
+            const func = this.extractFunctionDetails(node, wrapped.func);
+            addFunctions([func], scope, namespace);
+            addComponent(func, wrapped.func, node.id.typeAnnotation, wrapped.wrappers);
+          } else if (this.requireCallOf(node.init)) {
+            const requireImport = this.extractRequireDetails(node);
+            boundRequires.add(this.requireCallOf(node.init));
+            this.patternIdentifiers(node.id).forEach(id => requireBindings.add(id));
+            structure.imports.push(requireImport);
+            if (requireImport.source === 'react') {
+              structure.isReact = true;
+            }
           } else {
-            structure.variables.push(this.extractVariableDetails(node, parent));
+            structure.variables.push(qualify(this.extractVariableDetails(node, parent)));
+            if (node.init?.type === 'ObjectExpression' && node.id.type === 'Identifier') {
+              addFunctions(this.extractObjectMethods(node.init, node.id.name), scope, namespace);
+            }
           }
           break;
+        }
 
-        case 'ClassDeclaration':
-          const classInfo = this.extractClassDetails(node);
+        case 'ClassDeclaration': {
+          const classInfo = qualify(this.extractClassDetails(node));
           structure.classes.push(classInfo);
           if (classInfo.isComponent) {
-            structure.components.push(classInfo);
+            structure.components.push({
+              ...classInfo,
+              kind: 'class',
+              wrappers: [],
+              props: this.extractClassProps(node),
+              body: node.body
+            });
             structure.isReact = true;
           }
+          // Members are diffed with the class; functions nested in them are
+          // named after the member (`Store#load > callback#1`, `Store.create > build`)
+          const className = scope ? `${scope} > ${classInfo.name}` : classInfo.name;
+          classInfo.members.forEach(member => {
+            if (member.body) scopes.set(member.body, `${className}${member.static ? '.' : '#'}${member.name}`);
+          });
+          break;
+        }
+
+        case 'TSDeclareFunction':
+          if (node.id) declaredFunctions.push(qualify({ node, name: node.id.name }));
+          break;
+
+        case 'TSInterfaceDeclaration':
+          structure.types.push(qualify(this.extractInterfaceDetails(node)));
+          break;
+
+        case 'TSTypeAliasDeclaration':
+          structure.types.push(qualify(this.extractTypeAliasDetails(node)));
           break;
 
+        case 'TSEnumDeclaration':
+          structure.types.push(qualify(this.extractEnumDetails(node)));
+          break;
+
+        case 'TSModuleDeclaration': {
+          // Its members are listed with it, and its code is walked as `N.member`, not as module-level code
+          const namespaceInfo = qualify(this.extractNamespaceDetails(node));
+          structure.types.push(namespaceInfo);
+          namespace = namespaceInfo.name;
+          break;
+        }
+
         case 'ImportDeclaration':
           structure.imports.push(this.extractImportDetails(node));
           if (node.source.value === 'react') {
@@ -298,17 +644,80 @@ class ASTParser {
 
         case 'ExportNamedDeclaration':
         case 'ExportDefaultDeclaration':
-          structure.exports.push(this.extractExportDetails(node));
+        case 'ExportAllDeclaration':
+          // `export` inside a namespace exports from the namespace, not the module
+          if (!namespace) structure.exports.push(this.extractExportDetails(node));
+          if (node.type === 'ExportDefaultDeclaration' && node.declaration.type === 'ObjectExpression') {
+            addFunctions(this.extractObjectMethods(node.declaration, 'default'), scope, namespace);
+          } else if (node.type === 'ExportDefaultDeclaration' && isFunctionExpression(node.declaration)) {
+            const func = { ...this.extractFunctionDetails(node.declaration), name: node.declaration.id?.name || 'default' };
+            addFunctions([func], scope, namespace);
+            addComponent(func, node.declaration, null);
+          } else if (node.type === 'ExportDefaultDeclaration' && unwrapComponent(node.declaration)?.func) {
+            // `export default memo(function Card() {...})` / `export default memo(() => ...)`
+            const wrapped = unwrapComponent(node.declaration);
+            const func = {
+              ...this.extractFunctionDetails(node, wrapped.func),
+              name: wrapped.func.id?.name || 'default'
+            };
+            addFunctions([func], scope, namespace);
+            addComponent(func, wrapped.func, null, wrapped.wrappers);
+          }
           break;
 
         case 'CallExpression':
-          if (node.callee?.name?.startsWith('use')) {
-            structure.hooks.push(this.extractHookDetails(node));
+          node.arguments.filter(isFunctionExpression).forEach(callback => {
+            roles.set(callback, `${calleeLabel(node.callee)} callback`);
+          });
+          cleanupFunctions(node, hookName(node.callee)).forEach(cleanup => roles.set(cleanup, 'effect cleanup'));
+          if (hookName(node.callee)) {
+            structure.hooks.push(this.extractHookDetails(node, scope));
+          } else if (unwrapComponent(node)?.target) {
+            wrappedComponents.push(unwrapComponent(node));
+          } else if (this.requireCallOf(node) && !boundRequires.has(node)) {
+            // Bare `require('x')` for its side effects
+            structure.imports.push({
+              source: node.arguments[0].value,
+              specifiers: [],
+              syntax: 'require',
+              typeOnly: false,
+              loc: node.loc
+            });
+          }
+          break;
+
+        case 'AssignmentExpression': {
+          const cjsExport = this.extractCommonJSExport(node);
+          if (cjsExport) structure.exports.push(cjsExport);
+          addFunctions(this.extractAssignedFunctions(node), scope, namespace);
+
+          // `Button.propTypes = {...}` / `Button.defaultProps = {...}`
+          const left = node.left;
+          if (left.type === 'MemberExpression' && !left.computed && left.object.type === 'Identifier' &&
+              ['propTypes', 'defaultProps'].includes(left.property.name) && node.right.type === 'ObjectExpression') {
+            propDeclarations.push({ component: left.object.name, kind: left.property.name, object: node.right });
+          }
+          break;
+        }
+
+        case 'Identifier':
+        case 'JSXIdentifier':
+          if (!requireBindings.has(node) && this.isReference(node, parent)) {
+            countReference(node.name);
+          }
+          break;
+
+        case 'JSXAttribute':
+          if (isFunctionExpression(node.value?.expression)) {
+            roles.set(node.value.expression, `${node.name.name?.name || node.name.name} handler`);
           }
           break;
 
         case 'JSXElement':
+        case 'JSXFragment':
           structure.isReact = true;
+          // The classic JSX runtime compiles to React.createElement
+          countReference('React');
           break;
       }
 
@@ -317,17 +726,117 @@ class ASTParser {
         if (key === 'loc' || key === 'range') continue;
         
         if (Array.isArray(node[key])) {
-          node[key].forEach(child => traverse(child, node));
+          node[key].forEach(child => traverse(child, node, scope, namespace));
         } else if (node[key] && typeof node[key] === 'object') {
-          traverse(node[key], node);
+          traverse(node[key], node, scope, namespace);
         }
       }
     };
 
     traverse(ast.program || ast);
+    this.attachOverloads(structure.functions, declaredFunctions);
+    structure.components.forEach(component => {
+      component.props = this.resolveProps(component, propDeclarations, structure.types);
+      wrappedComponents.filter(w => w.target === component.name).forEach(w => {
+        component.wrappers = [...new Set([...component.wrappers, ...w.wrappers])];
+      });
+    });
     return structure;
   }
 
+  /**
+   * Give each implementation its overload signatures. Declarations without an
+   * implementation (`declare function`, .d.ts files) become functions of their own.
+   */
+  attachOverloads(functions, declarations) {
+    const byName = new Map();
+    declarations.forEach(({ node, name }) => {
+      if (!byName.has(name)) byName.set(name, []);
+      byName.get(name).push(node);
+    });
+
+    byName.forEach((decls, name) => {
+      let func = functions.find(f => f.name === name);
+      if (!func) {
+        func = { ...this.extractFunctionDetails(decls[0]), name };
+        functions.push(func);
+        if (decls.length === 1) return; // A lone declaration is just the signature
+      }
+      func.overloads = decls.map(decl => signatureToString(decl));
+    });
+  }
+
+  /**
+   * Functions assigned to a property: `Foo.prototype.bar = function` (Foo#bar),
+   * `Foo.create = () => {}` (Foo.create), `exports.x = function` (exports.x),
+   * and the methods of an object assigned the same way (`Foo.prototype = {...}`)
+   */
+  extractAssignedFunctions(node) {
+    if (node.operator !== '=' || node.left.type !== 'MemberExpression') return [];
+
+    const target = this.assignmentTargetName(node.left);
+    if (!target) return [];
+
+    if (isFunctionExpression(node.right)) {
+      const name = target === 'exports' ? node.right.id?.name || 'module.exports' : target;
+      return [{ ...this.extractFunctionDetails(node, node.right), name }];
+    }
+    if (node.right.type === 'ObjectExpression') {
+      return this.extractObjectMethods(node.right, target);
+    }
+    return [];
+  }
+
+  /**
+   * Qualified name of an assignment target: `Foo#bar` for `Foo.prototype.bar`,
+   * `Foo#` for `Foo.prototype`, `exports.x` for `module.exports.x`.
+   * Null for computed and `this.x` targets.
+   */
+  assignmentTargetName(member) {
+    const segments = [];
+    let node = member;
+    while (node.type === 'MemberExpression') {
+      if (node.computed && node.property.type !== 'StringLiteral') return null;
+      segments.unshift(node.computed ? node.property.value : node.property.name);
+      node = node.object;
+    }
+    if (node.type !== 'Identifier') return null;
+    segments.unshift(node.name);
+
+    if (segments[0] === 'module' && segments[1] === 'exports') segments.shift();
+
+    const prototype = segments.indexOf('prototype', 1);
+    if (prototype === -1) return segments.join('.');
+    return `${segments.slice(0, prototype).join('.')}#${segments.slice(prototype + 1).join('.')}`;
+  }
+
+  /**
+   * Methods and function-valued properties of an object literal, named
+   * `prefix.key` (`api.getUser`), recursing into nested objects
+   * (`api.users.list`). Accessors and computed keys are skipped.
+   */
+  extractObjectMethods(object, prefix) {
+    const functions = [];
+
+    object.properties.forEach(p => {
+      if (!p.key || p.computed) return; // Spread elements and `[key]: ...`
+      const name = prefix.endsWith('#') ? prefix + propertyKey(p.key) : `${prefix}.${propertyKey(p.key)}`;
+
+      if (p.type === 'ObjectMethod') {
+        if (p.kind === 'method') functions.push({ ...this.extractFunctionDetails(p), name });
+      } else if (p.kind === undefined || p.kind === 'init') {
+        // Babel ObjectProperty, or ESTree Property (which also covers methods)
+        if (isFunctionExpression(p.value)) {
+          functions.push({ ...this.extractFunctionDetails(p, p.value), name });
+        } else if (p.value?.type === 'ObjectExpression') {
+          functions.push(...this.extractObjectMethods(p.value, name));
+        }
+      }
+    });
+
+    return functions;
+  }
+
   /**
    * Extract detailed function information
    */
@@ -341,6 +850,10 @@ class ASTParser {
       async: func.async || false,
       generator: func.generator || false,
       params: func.params?.map(p => this.extractParamInfo(p)) || [],
+      typeParams: typeParameters(func.typeParameters),
+      returnType: typeToString(func.returnType),
+      returnUnion: func.returnType ? unionMembers(func.returnType) : ['any'],
+      overloads: [],
       body: func.body,
       loc: node.loc,
       hasReturn: this.hasReturnStatement(func.body),
@@ -353,116 +866,860 @@ class ASTParser {
    * Extract parameter information including defaults and destructuring
    */
   extractParamInfo(param) {
+    return { ...this.extractParamShape(param), ...this.extractParamType(param) };
+  }
+
+  extractParamShape(param) {
     if (param.type === 'Identifier') {
       return { name: param.name, hasDefault: false };
     } else if (param.type === 'AssignmentPattern') {
       return { 
-        name: param.left.name, 
+        ...this.extractParamShape(param.left),
         hasDefault: true,
-        defaultValue: this.getParamDefault(param.right)
+        defaultValue: this.getParamDefault(param.right),
+        defaultShape: fingerprint(param.right).shape
       };
     } else if (param.type === 'RestElement') {
-      return { name: `...${param.argument.name}`, rest: true };
-    } else if (param.type === 'ObjectPattern') {
-      return { 
-        name: `{ ${param.properties.map(p => p.key?.name).join(', ')} }`,
-        destructured: true
-      };
+      return { name: `...${this.extractParamShape(param.argument).name}`, rest: true };
+    } else if (param.type === 'ObjectPattern' || param.type === 'ArrayPattern') {
+      const pattern = this.extractPattern(param);
+      return { name: patternToString(pattern), destructured: true, pattern };
+    } else if (param.type === 'TSParameterProperty') {
+      return this.extractParamShape(param.parameter);
     }
     return { name: 'unknown' };
   }
 
+  /**
+   * Shape of a destructuring pattern: { kind: 'object' | 'array', keys, rest }
+   * where each key is { key, hasDefault, defaultValue, defaultShape, pattern }
+   * and pattern is the nested pattern, if any
+   */
+  extractPattern(node) {
+    const keys = [];
+    let rest = null;
+
+    const entries = node.type === 'ObjectPattern'
+      ? node.properties.map(p => [p.type === 'RestElement' ? null : p.key, p.type === 'RestElement' ? p : p.value, p])
+      : node.elements.map((element, index) => [`[${index}]`, element, element]);
+
+    entries.forEach(([key, value, entry]) => {
+      if (!value) return; // Array hole: `[, second]`
+      if (value.type === 'RestElement') {
+        rest = this.extractParamShape(value.argument).name;
+        return;
+      }
+      const target = value.type === 'AssignmentPattern' ? value.left : value;
+      keys.push({
+        key: typeof key === 'string' ? key : (entry.computed ? '[computed]' : propertyKey(key)),
+        local: target.type === 'Identifier' ? target.name : null,
+        hasDefault: value.type === 'AssignmentPattern',
+        defaultValue: value.type === 'AssignmentPattern' ? this.getParamDefault(value.right) : null,
+        defaultShape: value.type === 'AssignmentPattern' ? fingerprint(value.right).shape : null,
+        pattern: target.type === 'ObjectPattern' || target.type === 'ArrayPattern' ? this.extractPattern(target) : null
+      });
+    });
+
+    return { kind: node.type === 'ObjectPattern' ? 'object' : 'array', keys, rest };
+  }
+
+  /**
+   * TypeScript annotation and `?` marker of a parameter (unannotated counts as any)
+   */
+  extractParamType(param) {
+    const target = param.type === 'TSParameterProperty' ? param.parameter : param;
+    const annotated = target.type === 'AssignmentPattern' ? target.left : target;
+    const annotation = annotated.typeAnnotation;
+
+    return {
+      typeAnnotation: typeToString(annotation),
+      typeUnion: annotation ? unionMembers(annotation) : ['any'],
+      optional: annotated.optional || false
+    };
+  }
+
+  /**
+   * Source-like text of a default value: `'json'`, `3`, `-1`, `null`,
+   * `Config.TIMEOUT`, `{}`; 'complex' for anything longer
+   */
   getParamDefault(node) {
-    if (node.type === 'Literal') return String(node.value);
-    if (node.type === 'Identifier') return node.name;
-    return 'complex';
+    switch (node.type) {
+      case 'StringLiteral':
+        return `'${node.value}'`;
+      case 'Literal':
+        if (node.regex) return `/${node.regex.pattern}/${node.regex.flags}`;
+        return typeof node.value === 'string' ? `'${node.value}'` : String(node.value);
+      case 'NumericLiteral':
+      case 'BooleanLiteral':
+      case 'BigIntLiteral':
+        return String(node.value);
+      case 'NullLiteral':
+        return 'null';
+      case 'Identifier':
+        return node.name;
+      case 'UnaryExpression': {
+        const argument = this.getParamDefault(node.argument);
+        return argument === 'complex' ? 'complex' : `${node.operator}${node.operator.length > 1 ? ' ' : ''}${argument}`;
+      }
+      case 'TemplateLiteral':
+        return node.expressions.length === 0 ? `\`${node.quasis[0].value.cooked}\`` : 'complex';
+      case 'MemberExpression':
+        return node.computed ? 'complex' : entityName(node);
+      case 'ObjectExpression':
+        return node.properties.length === 0 ? '{}' : '{ … }';
+      case 'ArrayExpression':
+        return node.elements.length === 0 ? '[]' : '[ … ]';
+      case 'ArrowFunctionExpression':
+      case 'FunctionExpression':
+        return '() => …';
+      case 'NewExpression':
+        return `new ${node.callee.type === 'Identifier' ? node.callee.name : '…'}()`;
+      default:
+        return 'complex';
+    }
+  }
+
+  /**
+   * Props a function component reads: a destructured first parameter, or
+   * `props.x` / `const { x } = props` in the body. The TS props type comes
+   * from the parameter (`({ a }: Props)`) or the variable (`React.FC<Props>`).
+   * Returns { props: Map, typeNode } for resolveProps.
+   */
+  extractFunctionProps(funcNode, declaredType) {
+    const props = new Map();
+    const param = funcNode.params[0];
+    const target = param?.type === 'AssignmentPattern' ? param.left : param;
+    let typeNode = target?.typeAnnotation?.typeAnnotation || null;
+
+    if (target?.type === 'ObjectPattern') {
+      this.addPatternProps(props, target);
+    } else if (target?.type === 'Identifier') {
+      this.collectPropsUsage(funcNode.body, target.name, props);
+    }
+
+    if (!typeNode && declaredType) {
+      // React.FC<Props>, FunctionComponent<Props>, ...
+      const annotation = declaredType.typeAnnotation;
+      typeNode = (annotation.typeParameters || annotation.typeArguments)?.params[0] || null;
+    }
+
+    return { props, typeNode };
+  }
+
+  /**
+   * Props a class component reads (`this.props.x`, `const { x } = this.props`),
+   * its `Component<Props>` type and static propTypes / defaultProps
+   */
+  extractClassProps(node) {
+    const props = new Map();
+    this.collectPropsUsage(node.body, null, props);
+
+    const declarations = node.body.body
+      .filter(m => m.static && m.value?.type === 'ObjectExpression' &&
+        ['propTypes', 'defaultProps'].includes(m.key?.name))
+      .map(m => ({ component: node.id?.name, kind: m.key.name, object: m.value }));
+
+    return {
+      props,
+      typeNode: (node.superTypeParameters || node.superTypeArguments)?.params[0] || null,
+      declarations
+    };
+  }
+
+  /**
+   * `props.x` reads and `const { x, y = 1 } = props` destructuring anywhere
+   * in a component (handlers included). propsName null means `this.props`.
+   */
+  collectPropsUsage(body, propsName, props) {
+    walk(body, node => {
+      if (node.type === 'MemberExpression' && !node.computed && isPropsObject(node.object, propsName)) {
+        this.propEntry(props, node.property.name);
+      } else if (node.type === 'VariableDeclarator' && node.id.type === 'ObjectPattern' && isPropsObject(node.init, propsName)) {
+        this.addPatternProps(props, node.id);
+      }
+    });
+  }
+
+  /**
+   * Props named by a destructuring pattern, with their defaults
+   */
+  addPatternProps(props, pattern) {
+    pattern.properties.forEach(p => {
+      if (p.type === 'RestElement' || p.computed) return;
+      const prop = this.propEntry(props, propertyKey(p.key));
+      if (p.value?.type === 'AssignmentPattern') {
+        this.setPropDefault(prop, p.value.right);
+      }
+    });
+  }
+
+  propEntry(props, name) {
+    if (!props.has(name)) {
+      props.set(name, {
+        name,
+        type: null,
+        union: null,
+        declaredRequired: false,
+        hasDefault: false,
+        defaultValue: null,
+        defaultShape: null
+      });
+    }
+    return props.get(name);
+  }
+
+  setPropDefault(prop, valueNode) {
+    prop.hasDefault = true;
+    prop.defaultValue = this.getParamDefault(valueNode);
+    prop.defaultShape = fingerprint(valueNode).shape;
+  }
+
+  /**
+   * Final props list of a component: usage, then the TS props type (which
+   * decides types and requiredness), then propTypes (when there is no TS
+   * type) and defaultProps. A prop is required when declared so and it has
+   * no default.
+   */
+  resolveProps(component, propDeclarations, types) {
+    const { props, typeNode } = component.props;
+    const localComponent = component.name.split(' > ').pop();
+    const declarations = [
+      ...(component.props.declarations || []),
+      ...propDeclarations.filter(d => d.component === localComponent)
+    ];
+
+    const typed = typeNode ? this.propsTypeMembers(typeNode, types, new Set()) : [];
+    typed.forEach(member => {
+      const prop = this.propEntry(props, member.name);
+      prop.type = member.type;
+      prop.union = member.union;
+      prop.declaredRequired = !member.optional;
+    });
+
+    declarations.filter(d => d.kind === 'propTypes').forEach(({ object }) => {
+      object.properties.forEach(p => {
+        if (!p.key || p.computed || p.type === 'SpreadElement') return;
+        const prop = this.propEntry(props, propertyKey(p.key));
+        if (typed.some(m => m.name === prop.name)) return;
+        const info = propTypeInfo(p.value);
+        prop.type = info.type;
+        prop.union = null;
+        prop.declaredRequired = info.required;
+      });
+    });
+
+    declarations.filter(d => d.kind === 'defaultProps').forEach(({ object }) => {
+      object.properties.forEach(p => {
+        if (!p.key || p.computed || p.type === 'SpreadElement') return;
+        this.setPropDefault(this.propEntry(props, propertyKey(p.key)), p.value);
+      });
+    });
+
+    return [...props.values()].map(({ declaredRequired, ...prop }) => ({
+      ...prop,
+      required: declaredRequired && !prop.hasDefault
+    }));
+  }
+
+  /**
+   * Members of a props type: a type literal, an intersection, or an
+   * interface / type alias declared in the same file (with the interfaces
+   * it extends). Types from other modules are not followed.
+   */
+  propsTypeMembers(typeNode, types, seen) {
+    switch (typeNode.type) {
+      case 'TSTypeLiteral':
+        return typeNode.members.map(m => this.extractTypeMember(m)).filter(m => m.name);
+      case 'TSIntersectionType':
+        return typeNode.types.flatMap(t => this.propsTypeMembers(t, types, seen));
+      case 'TSParenthesizedType':
+        return this.propsTypeMembers(typeNode.typeAnnotation, types, seen);
+      case 'TSTypeReference': {
+        const params = (typeNode.typeParameters || typeNode.typeArguments)?.params || [];
+        // PropsWithChildren<P> and friends wrap the real props type
+        if (/PropsWith/.test(entityName(typeNode.typeName)) && params[0]) {
+          return this.propsTypeMembers(params[0], types, seen);
+        }
+        return this.namedTypeMembers(entityName(typeNode.typeName), types, seen);
+      }
+      default:
+        return [];
+    }
+  }
+
+  namedTypeMembers(name, types, seen) {
+    if (seen.has(name)) return [];
+    seen.add(name);
+
+    const declaration = types.find(t => (t.kind === 'interface' || t.kind === 'type') && t.name === name);
+    if (!declaration || !declaration.members) return [];
+
+    const inherited = (declaration.extends || [])
+      .flatMap(parent => this.namedTypeMembers(parent.replace(/<.*$/, ''), types, seen));
+    return [...inherited, ...declaration.members];
   }
 
   /**
-   * Extract class details including methods
+   * Extract class details: methods, accessors, fields and static blocks.
+   * Babel (ClassMethod, ClassProperty, ClassPrivate*, StaticBlock) and
+   * ESTree (MethodDefinition, PropertyDefinition) members alike.
    */
   extractClassDetails(node) {
-    const methods = node.body.body
-      .filter(m => m.type === 'MethodDefinition')
-      .map(m => ({
-        name: m.key.name,
-        kind: m.kind, // constructor, method, get, set
-        static: m.static,
-        async: m.value.async,
-        params: m.value.params.map(p => this.extractParamInfo(p))
-      }));
+    const members = [];
+    const declaredMethods = []; // TS overload signatures
+    let staticBlocks = 0;
+
+    node.body.body.forEach(member => {
+      switch (member.type) {
+        case 'ClassMethod':
+        case 'ClassPrivateMethod':
+        case 'MethodDefinition':
+          members.push(this.extractClassMethod(member, member.value || member));
+          break;
+
+        case 'ClassProperty':
+        case 'ClassPrivateProperty':
+        case 'ClassAccessorProperty':
+        case 'PropertyDefinition':
+        case 'AccessorProperty': {
+          const value = member.value;
+          if (value?.type === 'ArrowFunctionExpression' || value?.type === 'FunctionExpression') {
+            // `handleClick = () => {}` behaves as a method bound to the instance
+            members.push(this.extractClassMethod(member, value));
+          } else {
+            members.push(this.extractClassField(member));
+          }
+          break;
+        }
+
+        case 'StaticBlock':
+          staticBlocks++;
+          members.push({
+            name: staticBlocks > 1 ? `static {} #${staticBlocks}` : 'static {}',
+            kind: 'static-block',
+            static: true,
+            visibility: 'public',
+            decorators: [],
+            body: member,
+            loc: member.loc
+          });
+          break;
+
+        case 'TSDeclareMethod':
+          declaredMethods.push(member);
+          break;
+      }
+    });
+
+    declaredMethods.forEach(decl => {
+      const method = members.find(m => m.name === this.classMemberName(decl) && m.static === (decl.static || false));
+      if (method) method.overloads.push(signatureToString(decl));
+    });
 
     const superClass = node.superClass?.name || node.superClass?.property?.name;
     const isComponent = superClass === 'Component' || superClass === 'PureComponent';
 
     return {
-      name: node.id.name,
+      name: node.id ? node.id.name : 'default',
       superClass,
       isComponent,
-      methods,
+      abstract: node.abstract || false,
+      decorators: this.extractDecorators(node),
+      members,
       loc: node.loc
     };
   }
 
   /**
-   * Extract import details
+   * A method, constructor, getter/setter or function-valued field.
+   * Accessors are named `get x` / `set x` so both halves can coexist.
    */
-  extractImportDetails(node) {
+  extractClassMethod(member, func) {
+    const name = this.classMemberName(member);
+    const accessor = member.kind === 'get' || member.kind === 'set';
+
     return {
-      source: node.source.value,
-      specifiers: node.specifiers.map(s => ({
-        imported: s.imported?.name || 'default',
-        local: s.local.name,
-        type: s.type
-      }))
+      ...this.extractFunctionDetails(member, func),
+      name: accessor ? `${member.kind} ${name}` : name,
+      kind: member.kind || 'method', // constructor, method, get, set
+      static: member.static || false,
+      visibility: this.memberVisibility(member),
+      abstract: member.abstract || false,
+      decorators: this.extractDecorators(member),
+      loc: member.loc
     };
   }
 
   /**
-   * Extract export details
+   * A class field (`x = 1`, `#count`, `static readonly MAX: number`)
    */
-  extractExportDetails(node) {
-    if (node.type === 'ExportDefaultDeclaration') {
-      return {
-        type: 'default',
-        name: node.declaration?.name || node.declaration?.id?.name || 'anonymous'
-      };
-    }
+  extractClassField(member) {
     return {
-      type: 'named',
-      specifiers: node.specifiers?.map(s => s.exported.name) || [],
-      declaration: node.declaration?.id?.name
+      name: this.classMemberName(member),
+      kind: 'field',
+      static: member.static || false,
+      visibility: this.memberVisibility(member),
+      abstract: member.abstract || false,
+      readonly: member.readonly || false,
+      optional: member.optional || false,
+      typeAnnotation: typeToString(member.typeAnnotation),
+      typeUnion: member.typeAnnotation ? unionMembers(member.typeAnnotation) : ['any'],
+      value: member.value ? fingerprint(member.value).shape : null,
+      decorators: this.extractDecorators(member),
+      loc: member.loc
     };
   }
 
   /**
-   * Extract variable details
+   * `name`, `#secret` (Babel PrivateName / ESTree PrivateIdentifier),
+   * `'quoted'` → quoted, `[Symbol.iterator]`
    */
-  extractVariableDetails(node, parent) {
+  classMemberName(member) {
+    const key = member.key;
+    if (key.type === 'PrivateName') return `#${key.id.name}`;
+    if (key.type === 'PrivateIdentifier') return `#${key.name}`;
+    if (member.computed) return `[${entityName(key)}]`;
+    return propertyKey(key);
+  }
+
+  /**
+   * 'public', 'protected', 'private' (TypeScript) or '#private' (ES private name)
+   */
+  memberVisibility(member) {
+    if (member.key?.type === 'PrivateName' || member.key?.type === 'PrivateIdentifier') return '#private';
+    return member.accessibility || 'public';
+  }
+
+  /**
+   * Decorators as written: `@Input()`, `@observable`, `@HostListener()`
+   */
+  extractDecorators(node) {
+    return (node.decorators || []).map(decorator => {
+      const expression = decorator.expression;
+      return expression.type === 'CallExpression'
+        ? `@${entityName(expression.callee)}()`
+        : `@${entityName(expression)}`;
+    });
+  }
+
+  /**
+   * Extract a TS interface: heritage and members
+   */
+  extractInterfaceDetails(node) {
     return {
+      kind: 'interface',
       name: node.id.name,
-      kind: parent?.kind || 'unknown', // const, let, var
-      hasInitializer: node.init !== null,
+      typeParams: typeParameters(node.typeParameters),
+      extends: (node.extends || []).map(typeToString),
+      members: node.body.body.map(member => this.extractTypeMember(member)),
       loc: node.loc
     };
   }
 
   /**
-   * Extract hook usage details
+   * Interface / type literal member. Index, call and construct signatures
+   * have no name, so their text identifies them.
    */
-  extractHookDetails(node) {
+  extractTypeMember(member) {
+    const isProperty = member.type === 'TSPropertySignature';
+    const named = isProperty || member.type === 'TSMethodSignature';
+
     return {
-      name: node.callee.name,
-      arguments: node.arguments.length,
-      loc: node.loc
+      name: named ? propertyKey(member.key) : memberToString(member),
+      type: isProperty ? typeToString(member.typeAnnotation) : memberToString(member),
+      union: isProperty ? unionMembers(member.typeAnnotation) : null,
+      optional: member.optional || false,
+      readonly: member.readonly || false,
+      loc: member.loc
     };
   }
 
   /**
-   * Check if function body has return statement
+   * Extract a TS type alias; object literal types keep their members
    */
-  hasReturnStatement(body) {
-    let hasReturn = false;
+  extractTypeAliasDetails(node) {
+    const type = node.typeAnnotation;
+    return {
+      kind: 'type',
+      name: node.id.name,
+      typeParams: typeParameters(node.typeParameters),
+      type: typeToString(type),
+      union: unionMembers(type),
+      members: type.type === 'TSTypeLiteral' ? type.members.map(m => this.extractTypeMember(m)) : null,
+      loc: node.loc
+    };
+  }
+
+  /**
+   * Extract a TS enum with each member's value. Implicit values are
+   * numbered like the compiler does, so reordering them shows up.
+   */
+  extractEnumDetails(node) {
+    let next = 0;
+    const members = (node.members || node.body?.members || []).map(member => {
+      let value = null;
+      const init = member.initializer;
+
+      if (!init) {
+        value = next === null ? null : String(next);
+      } else if (init.type === 'NumericLiteral') {
+        value = String(init.value);
+      } else if (init.type === 'StringLiteral') {
+        value = `'${init.value}'`;
+      } else if (init.type === 'UnaryExpression' && init.argument.type === 'NumericLiteral') {
+        value = `${init.operator}${init.argument.value}`;
+      } else {
+        value = 'computed';
+      }
+
+      next = /^-?\d+$/.test(value) ? Number(value) + 1 : null;
+      return { name: propertyKey(member.id), value, loc: member.loc };
+    });
+
+    return {
+      kind: 'enum',
+      name: node.id.name,
+      const: node.const || false,
+      members,
+      loc: node.loc
+    };
+  }
+
+  /**
+   * Extract a TS namespace / ambient module and the names it declares
+   */
+  extractNamespaceDetails(node) {
+    const members = [];
+    const body = node.body?.type === 'TSModuleBlock' ? node.body.body : [];
+
+    body.forEach(statement => {
+      const declaration = statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement;
+      if (!declaration) return;
+      if (declaration.type === 'VariableDeclaration') {
+        declaration.declarations.forEach(d => d.id.name && members.push({ name: d.id.name, loc: d.loc }));
+      } else if (declaration.id) {
+        members.push({ name: entityName(declaration.id), loc: declaration.loc });
+      }
+    });
+
+    return {
+      kind: 'namespace',
+      name: node.id.type === 'StringLiteral' ? `'${node.id.value}'` : entityName(node.id),
+      members,
+      loc: node.loc
+    };
+  }
+
+  /**
+   * Extract import details
+   */
+  extractImportDetails(node) {
+    // `import type { A }` / `import { type A }` (Flow also has `import typeof`)
+    const typeOnly = node.importKind === 'type' || node.importKind === 'typeof';
+    return {
+      source: node.source.value,
+      specifiers: node.specifiers.map(s => ({
+        imported: s.type === 'ImportNamespaceSpecifier' ? '*' : (s.imported?.name || s.imported?.value || 'default'),
+        local: s.local.name,
+        type: s.type,
+        typeOnly: typeOnly || s.importKind === 'type' || s.importKind === 'typeof',
+        loc: s.loc
+      })),
+      syntax: 'import',
+      typeOnly,
+      loc: node.loc
+    };
+  }
+
+  /**
+   * Whether an identifier reads a binding rather than naming a property,
+   * key, label or import binding. Matching is by name; shadowing is not tracked.
+   */
+  isReference(node, parent) {
+    if (!parent) return true;
+
+    switch (parent.type) {
+      case 'ImportSpecifier':
+      case 'ImportDefaultSpecifier':
+      case 'ImportNamespaceSpecifier':
+      case 'PrivateName':
+        return false;
+      case 'MemberExpression':
+      case 'OptionalMemberExpression':
+      case 'JSXMemberExpression':
+        return parent.property !== node || parent.computed === true;
+      case 'ExportSpecifier':
+        return parent.exported !== node;
+      case 'JSXAttribute':
+        return parent.name !== node;
+      case 'TSQualifiedName':
+        return parent.right !== node;
+      case 'LabeledStatement':
+      case 'BreakStatement':
+      case 'ContinueStatement':
+        return false;
+    }
+
+    // Object, class and interface member names
+    return parent.key !== node || parent.computed === true;
+  }
+
+  /**
+   * Identifiers bound by a declaration pattern: `x`, `{ a, b: c, ...rest }`, `[d = 1]`
+   */
+  patternIdentifiers(pattern) {
+    if (!pattern) return [];
+    switch (pattern.type) {
+      case 'Identifier':
+        return [pattern];
+      case 'ObjectPattern':
+        return pattern.properties.flatMap(p =>
+          this.patternIdentifiers(p.type === 'RestElement' ? p.argument : p.value));
+      case 'ArrayPattern':
+        return pattern.elements.flatMap(element => this.patternIdentifiers(element));
+      case 'AssignmentPattern':
+        return this.patternIdentifiers(pattern.left);
+      case 'RestElement':
+        return this.patternIdentifiers(pattern.argument);
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * The `require('x')` call in `require('x')` or `require('x').y`, if any
+   */
+  requireCallOf(node) {
+    if (node?.type === 'MemberExpression' && !node.computed) {
+      return this.requireCallOf(node.object);
+    }
+    if (node?.type === 'CallExpression' &&
+        node.callee?.type === 'Identifier' && node.callee.name === 'require' &&
+        node.arguments.length === 1 &&
+        (node.arguments[0].type === 'StringLiteral' || node.arguments[0].type === 'Literal') &&
+        typeof node.arguments[0].value === 'string') {
+      return node;
+    }
+    return null;
+  }
+
+  /**
+   * `const x = require('m')`, `const { a, b: c } = require('m')` and
+   * `const y = require('m').y`, in the same shape as extractImportDetails
+   */
+  extractRequireDetails(node) {
+    const call = this.requireCallOf(node.init);
+    const specifiers = [];
+
+    if (node.id.type === 'ObjectPattern') {
+      node.id.properties.forEach(p => {
+        if (p.type === 'RestElement') {
+          specifiers.push({ imported: '*', local: p.argument.name, type: 'ImportNamespaceSpecifier', typeOnly: false, loc: p.loc });
+        } else {
+          const local = p.value?.type === 'AssignmentPattern' ? p.value.left.name : p.value?.name;
+          specifiers.push({ imported: propertyKey(p.key), local, type: 'ImportSpecifier', typeOnly: false, loc: p.loc });
+        }
+      });
+    } else if (node.init !== call) {
+      // require('m').y
+      specifiers.push({ imported: node.init.property.name, local: node.id.name, type: 'ImportSpecifier', typeOnly: false, loc: node.id.loc });
+    } else {
+      specifiers.push({ imported: '*', local: node.id.name, type: 'ImportNamespaceSpecifier', typeOnly: false, loc: node.id.loc });
+    }
+
+    return {
+      source: call.arguments[0].value,
+      specifiers,
+      syntax: 'require',
+      typeOnly: false,
+      loc: node.loc
+    };
+  }
+
+  /**
+   * `module.exports = ...`, `module.exports.x = ...` and `exports.x = ...`
+   * in the same shapes as extractExportDetails
+   */
+  extractCommonJSExport(node) {
+    if (node.operator !== '=' || node.left.type !== 'MemberExpression') return null;
+
+    const target = this.commonJSExportTarget(node.left);
+    if (!target) return null;
+    const value = node.right;
+
+    if (target.name) {
+      return {
+        type: 'named',
+        specifiers: [{ exported: target.name, local: this.commonJSLocal(value, target.name) }],
+        source: null,
+        declarations: [],
+        syntax: 'commonjs',
+        loc: node.loc
+      };
+    }
+
+    // module.exports = require('./x') re-exports everything
+    const reexport = this.requireCallOf(value);
+    if (reexport && value === reexport) {
+      return { type: 'all', source: reexport.arguments[0].value, exported: null, syntax: 'commonjs', loc: node.loc };
+    }
+
+    if (value.type === 'ObjectExpression') {
+      const specifiers = [];
+      value.properties.forEach(p => {
+        if (p.type === 'SpreadElement' || p.type === 'RestElement') return;
+        const exported = propertyKey(p.key);
+        specifiers.push({ exported, local: this.commonJSLocal(p.type === 'ObjectMethod' ? p : p.value, exported) });
+      });
+      return { type: 'named', specifiers, source: null, declarations: [], syntax: 'commonjs', loc: node.loc };
+    }
+
+    return {
+      type: 'default',
+      name: value.name || value.id?.name || (isFunctionExpression(value) ? 'module.exports' : 'anonymous'),
+      // What callers get from require(): a function to call or a class to `new`
+      valueKind: isFunctionExpression(value) ? 'function' : value.type === 'ClassExpression' ? 'class' : null,
+      syntax: 'commonjs',
+      loc: node.loc
+    };
+  }
+
+  /**
+   * Local name behind a CommonJS export: the identifier it refers to, or
+   * `exports.x` for a function defined in place (see extractAssignedFunctions)
+   */
+  commonJSLocal(value, exported) {
+    if (value?.type === 'Identifier') return value.name;
+    if (isFunctionExpression(value) || value?.type === 'ObjectMethod') return `exports.${exported}`;
+    return exported;
+  }
+
+  /**
+   * { name: null } for `module.exports`, { name: 'x' } for
+   * `module.exports.x` / `exports.x`, null for anything else
+   */
+  commonJSExportTarget(member) {
+    const isModuleExports = node => node?.type === 'MemberExpression' && !node.computed &&
+      node.object.type === 'Identifier' && node.object.name === 'module' &&
+      node.property.name === 'exports';
+
+    if (isModuleExports(member)) return { name: null };
+
+    const owner = member.object;
+    const named = !member.computed || member.property.type === 'StringLiteral';
+    if (named && (isModuleExports(owner) || (owner.type === 'Identifier' && owner.name === 'exports'))) {
+      return { name: member.computed ? member.property.value : member.property.name };
+    }
+    return null;
+  }
+
+  /**
+   * Extract export details
+   */
+  extractExportDetails(node) {
+    if (node.type === 'ExportDefaultDeclaration') {
+      // Named after what it exports: `memo(Card)` exports Card, and an
+      // anonymous function is the function tracked as `default`
+      const wrapped = unwrapComponent(node.declaration);
+      const declaration = wrapped ? (wrapped.func || { name: wrapped.target }) : node.declaration;
+      const anonymousFunction = isFunctionExpression(declaration) || declaration?.type === 'FunctionDeclaration';
+      return {
+        type: 'default',
+        name: declaration?.name || declaration?.id?.name || (anonymousFunction ? 'default' : 'anonymous'),
+        syntax: 'esm',
+        loc: node.loc
+      };
+    }
+    if (node.type === 'ExportAllDeclaration') {
+      // `export * from './x'`, or `export * as ns from './x'`
+      return {
+        type: 'all',
+        source: node.source.value,
+        exported: node.exported ? (node.exported.name || node.exported.value) : null,
+        syntax: 'esm',
+        loc: node.loc
+      };
+    }
+
+    const declaration = node.declaration;
+    const declarations = declaration?.type === 'VariableDeclaration'
+      ? declaration.declarations.map(d => d.id?.name).filter(Boolean)
+      : [declaration?.id?.name].filter(Boolean);
+
+    return {
+      type: 'named',
+      specifiers: node.specifiers?.map(s => ({
+        exported: s.exported.name || s.exported.value,
+        local: s.type === 'ExportNamespaceSpecifier' ? '*'
+          : s.type === 'ExportDefaultSpecifier' ? 'default'
+          : (s.local?.name || s.local?.value)
+      })) || [],
+      source: node.source?.value || null, // `export { x } from './y'`
+      declaration: declarations[0],
+      declarations,
+      syntax: 'esm',
+      loc: node.loc
+    };
+  }
+
+  /**
+   * Every named export of a module (not `export *`, not default) as
+   * { name, local, source, loc }; source is set for re-exports
+   */
+  namedExports(exports) {
+    const names = [];
+
+    exports.forEach(exp => {
+      if (exp.type === 'named') {
+        exp.declarations.forEach(name => names.push({ name, local: name, source: null, loc: exp.loc }));
+        exp.specifiers.forEach(s => names.push({ name: s.exported, local: s.local, source: exp.source, loc: exp.loc }));
+      } else if (exp.type === 'all' && exp.exported) {
+        names.push({ name: exp.exported, local: '*', source: exp.source, loc: exp.loc });
+      }
+    });
+
+    return names;
+  }
+
+  /**
+   * Extract variable details
+   */
+  extractVariableDetails(node, parent) {
+    return {
+      name: node.id.name,
+      kind: parent?.kind || 'unknown', // const, let, var
+      hasInitializer: node.init !== null,
+      loc: node.loc
+    };
+  }
+
+  /**
+   * Extract hook usage details
+   */
+  /**
+   * A hook call and the function calling it (its owner: a component or a
+   * custom hook, null at module level). deps is undefined for hooks without a
+   * dependency array and cleanup is undefined for non-effect hooks.
+   */
+  extractHookDetails(node, owner = null) {
+    const name = hookName(node.callee);
+    return {
+      name,
+      owner,
+      custom: !isBuiltinHook(name),
+      arguments: node.arguments.length,
+      deps: dependencyList(node, name),
+      cleanup: hasCleanup(node, name),
+      shape: fingerprint(node).shape,
+      loc: node.loc
+    };
+  }
+
+  /**
+   * Check if function body has return statement
+   */
+  hasReturnStatement(body) {
+    let hasReturn = false;
     
     const check = (node) => {
       if (!node || typeof node !== 'object') return;
@@ -550,191 +1807,1362 @@ class ASTParser {
    */
   diffFunctions(oldFuncs, newFuncs) {
     const changes = [];
+    const counterparts = new Map(); // new function → the old function it continues
+
+    newFuncs.filter(f => !f.anonymous).forEach(newFunc => {
+      const oldFunc = oldFuncs.find(f => !f.anonymous && f.name === newFunc.name);
+      if (oldFunc) counterparts.set(newFunc, oldFunc);
+    });
+
+    // Functions whose name disappeared may have been renamed: pair them by body
+    const pairedOld = new Set(counterparts.values());
+    const unmatchedOld = oldFuncs.filter(f => !f.anonymous && !pairedOld.has(f));
+    const unmatchedNew = newFuncs.filter(f => !f.anonymous && !counterparts.has(f));
+    const renames = matchFunctions(unmatchedOld, unmatchedNew);
+
+    // A nested function follows its renamed parent (`a > helper` → `b > helper`)
+    // without being reported as renamed itself
+    const renamedScopes = new Map(renames.map(r => [r.oldFunc.name, r.newFunc.name]));
+    const followsParent = ({ oldFunc, newFunc }) =>
+      oldFunc.scope && renamedScopes.get(oldFunc.scope) === newFunc.scope &&
+      localName(oldFunc) === localName(newFunc);
+    renames.filter(followsParent).forEach(r => counterparts.set(r.newFunc, r.oldFunc));
+
+    // Anonymous functions are numbered by position, so they pair by parent and body instead
+    this.pairAnonymousFunctions(oldFuncs, newFuncs, scope => renamedScopes.get(scope) || scope)
+      .forEach(({ oldFunc, newFunc }) => counterparts.set(newFunc, oldFunc));
+
+    // Functions nested in an added or removed function are part of that change
+    const isRenamed = func => renames.some(r => (r.newFunc === func || r.oldFunc === func) && !followsParent(r));
+    const stillPaired = new Set(counterparts.values());
+    const addedNames = new Set(newFuncs.filter(f => !counterparts.has(f) && !isRenamed(f)).map(f => f.name));
+    const removedNames = new Set(oldFuncs.filter(f => !stillPaired.has(f) && !isRenamed(f)).map(f => f.name));
+
+    // Callbacks and local helpers are not part of the module's surface: their
+    // arrival or removal is reported under the function containing them
+    const nestedChanges = [];
 
     // Find added functions
     newFuncs.forEach(newFunc => {
-      const oldFunc = oldFuncs.find(f => f.name === newFunc.name);
+      const oldFunc = counterparts.get(newFunc);
+      const rename = renames.find(r => r.newFunc === newFunc && !followsParent(r));
       
-      if (!oldFunc) {
-        const asyncStr = newFunc.async ? 'async ' : '';
-        const params = newFunc.params.map(p => p.name).join(', ');
-        changes.push(`Added ${asyncStr}function: ${newFunc.name}(${params})`);
+      if (rename) {
+        const funcChanges = this.compareFunctions(rename.oldFunc, newFunc);
+        changes.push(createChange({
+          kind: 'renamed',
+          entity: 'function',
+          name: newFunc.name,
+          before: { name: rename.oldFunc.name },
+          after: { name: newFunc.name, similarity: rename.similarity },
+          location: locate(rename.oldFunc, newFunc),
+          severity: maxSeverity([{ severity: 'low' }, ...funcChanges]),
+          breaking: funcChanges.some(c => c.breaking),
+          children: funcChanges
+        }));
+      } else if (!oldFunc) {
+        if (addedNames.has(newFunc.scope)) return;
+        if (newFunc.scope || newFunc.anonymous) {
+          nestedChanges.push({ parent: newFunc.scope, change: this.nestedFunctionChange('added', newFunc) });
+          return;
+        }
+        const change = createChange({
+          kind: 'added',
+          entity: 'function',
+          name: newFunc.name,
+          after: { async: newFunc.async, params: newFunc.params.map(p => p.name) },
+          location: locate(null, newFunc),
+          severity: 'low'
+        });
         
         if (newFunc.callsAPI) {
-          changes.push(`  └─ Function ${newFunc.name} makes API calls`);
+          change.children.push(createChange({
+            kind: 'detected', entity: 'api-call', name: newFunc.name, severity: 'medium'
+          }));
         }
         if (newFunc.complexity > 5) {
-          changes.push(`  └─ High complexity (${newFunc.complexity})`);
+          change.children.push(createChange({
+            kind: 'detected', entity: 'complexity', name: newFunc.name, after: newFunc.complexity, severity: 'medium'
+          }));
         }
+        changes.push(change);
       } else {
         // Function exists - check what changed
         const funcChanges = this.compareFunctions(oldFunc, newFunc);
         if (funcChanges.length > 0) {
-          changes.push(`Function ${newFunc.name} changed:`);
-          funcChanges.forEach(c => changes.push(`  └─ ${c}`));
+          changes.push(createChange({
+            kind: 'modified',
+            entity: 'function',
+            name: newFunc.name,
+            before: oldFunc.name !== newFunc.name ? { name: oldFunc.name } : null,
+            location: locate(oldFunc, newFunc),
+            severity: maxSeverity(funcChanges),
+            breaking: funcChanges.some(c => c.breaking),
+            children: funcChanges
+          }));
         }
       }
     });
 
     // Find removed functions
     oldFuncs.forEach(oldFunc => {
-      if (!newFuncs.find(f => f.name === oldFunc.name)) {
-        changes.push(`Removed function: ${oldFunc.name}`);
+      if (removedNames.has(oldFunc.name) && !removedNames.has(oldFunc.scope)) {
+        if (oldFunc.scope || oldFunc.anonymous) {
+          const parent = renamedScopes.get(oldFunc.scope) || oldFunc.scope;
+          nestedChanges.push({ parent, change: this.nestedFunctionChange('removed', oldFunc) });
+          return;
+        }
+        changes.push(createChange({
+          kind: 'removed',
+          entity: 'function',
+          name: oldFunc.name,
+          before: { async: oldFunc.async, params: oldFunc.params.map(p => p.name) },
+          location: locate(oldFunc, null),
+          severity: 'high',
+          breaking: true
+        }));
       }
     });
 
+    this.attachNestedChanges(changes, nestedChanges, counterparts);
     return changes;
   }
 
+  /**
+   * A callback or local function added to (or removed from) its parent
+   */
+  nestedFunctionChange(kind, func) {
+    const side = {
+      anonymous: Boolean(func.anonymous),
+      params: func.params.map(p => p.name),
+      role: func.role || null,
+      // The innermost named function around it (`Foo` for `Foo > callback#1 > anonymous#1`)
+      owner: func.scope.split(' > ').filter(part => !/^(callback|anonymous)#\d+$/.test(part)).pop() || func.scope
+    };
+    return createChange({
+      kind,
+      entity: 'nested-function',
+      name: localName(func),
+      before: kind === 'removed' ? side : null,
+      after: kind === 'added' ? side : null,
+      location: kind === 'added' ? locate(null, func) : locate(func, null),
+      severity: 'low'
+    });
+  }
+
+  /**
+   * File nested function additions and removals under their parent's record,
+   * creating a `modified` record for a parent with no other changes.
+   * Module-level callbacks have no parent and are left out.
+   */
+  attachNestedChanges(changes, nestedChanges, counterparts) {
+    nestedChanges.filter(n => n.parent).forEach(({ parent, change }) => {
+      let record = changes.find(c =>
+        c.entity === 'function' && (c.kind === 'modified' || c.kind === 'renamed') && c.name === parent);
+
+      if (!record) {
+        const newParent = [...counterparts.keys()].find(f => f.name === parent);
+        if (!newParent) return; // Class members report their own body changes
+        record = createChange({
+          kind: 'modified',
+          entity: 'function',
+          name: parent,
+          before: counterparts.get(newParent).name !== parent ? { name: counterparts.get(newParent).name } : null,
+          location: locate(counterparts.get(newParent), newParent),
+          severity: 'info'
+        });
+        changes.push(record);
+      }
+
+      record.children.push(change);
+      record.severity = maxSeverity([record, ...record.children]);
+    });
+  }
+
+  /**
+   * Pair anonymous functions (`callback#N`) of the same parent: unchanged
+   * bodies first, then edited ones by body similarity, then the rest in
+   * order of appearance. mapScope translates an old parent's name to its
+   * new one (for renamed parents).
+   */
+  pairAnonymousFunctions(oldFuncs, newFuncs, mapScope = scope => scope) {
+    const pairs = [];
+    const parents = new Set(newFuncs.filter(f => f.anonymous).map(f => f.scope || null));
+
+    parents.forEach(parentName => {
+      let olds = oldFuncs.filter(f => f.anonymous && mapScope(f.scope || null) === parentName);
+      let news = newFuncs.filter(f => f.anonymous && (f.scope || null) === parentName);
+      const take = ({ oldFunc, newFunc }) => {
+        pairs.push({ oldFunc, newFunc });
+        olds = olds.filter(f => f !== oldFunc);
+        news = news.filter(f => f !== newFunc);
+      };
+
+      news.forEach(newFunc => {
+        const shape = fingerprint(newFunc.body).shape;
+        const oldFunc = olds.find(f => fingerprint(f.body).shape === shape);
+        if (oldFunc) take({ oldFunc, newFunc });
+      });
+      matchFunctions(olds, news).forEach(take);
+      olds.slice(0, news.length).map((oldFunc, i) => ({ oldFunc, newFunc: news[i] })).forEach(take);
+    });
+
+    return pairs;
+  }
+
   /**
    * Compare two versions of the same function
    */
   compareFunctions(oldFunc, newFunc) {
     const changes = [];
 
-    // Async/sync change
+    // Async/sync change - callers now get (or stop getting) a Promise
     if (oldFunc.async !== newFunc.async) {
-      changes.push(`Changed to ${newFunc.async ? 'async' : 'sync'}`);
+      changes.push(createChange({
+        kind: 'modified',
+        entity: 'async',
+        name: newFunc.name,
+        before: oldFunc.async,
+        after: newFunc.async,
+        severity: 'medium',
+        breaking: true
+      }));
     }
 
-    // Parameter changes
-    const oldParams = oldFunc.params.map(p => p.name).join(',');
-    const newParams = newFunc.params.map(p => p.name).join(',');
-    if (oldParams !== newParams) {
-      const added = newFunc.params.filter(np => 
-        !oldFunc.params.some(op => op.name === np.name)
-      );
-      const removed = oldFunc.params.filter(op => 
-        !newFunc.params.some(np => np.name === op.name)
-      );
-      
-      added.forEach(p => changes.push(`Added parameter: ${p.name}${p.hasDefault ? ' (with default)' : ''}`));
-      removed.forEach(p => changes.push(`Removed parameter: ${p.name}`));
-    }
+    // Parameter changes: added/removed, order, defaults and destructuring
+    changes.push(...this.compareParameters(oldFunc.params, newFunc.params));
+
+    // TypeScript signature: parameter types, return type, generics, overloads
+    changes.push(...this.compareSignatureTypes(oldFunc, newFunc));
 
     // Complexity change
     if (newFunc.complexity > oldFunc.complexity + 2) {
-      changes.push(`Complexity increased (${oldFunc.complexity} → ${newFunc.complexity})`);
+      changes.push(createChange({
+        kind: 'increased',
+        entity: 'complexity',
+        name: newFunc.name,
+        before: oldFunc.complexity,
+        after: newFunc.complexity,
+        severity: 'medium'
+      }));
     }
 
     // API calls added
     if (!oldFunc.callsAPI && newFunc.callsAPI) {
-      changes.push('Added API calls');
+      changes.push(createChange({ kind: 'added', entity: 'api-call', name: newFunc.name, severity: 'medium' }));
     }
 
     // Return statement added/removed
     if (oldFunc.hasReturn !== newFunc.hasReturn) {
-      changes.push(newFunc.hasReturn ? 'Added return statement' : 'Removed return statement');
+      changes.push(createChange({
+        kind: newFunc.hasReturn ? 'added' : 'removed',
+        entity: 'return',
+        name: newFunc.name,
+        severity: newFunc.hasReturn ? 'low' : 'medium'
+      }));
+    }
+
+    // Body: normalized shape comparison, so reformatting is not a logic change
+    const body = compareBodies(oldFunc.body, newFunc.body);
+    if (body.status === 'changed' || body.status === 'formatting') {
+      changes.push(createChange({
+        kind: body.status === 'changed' ? 'modified' : 'reformatted',
+        entity: 'body',
+        name: newFunc.name,
+        after: { added: body.added, removed: body.removed },
+        severity: body.status === 'changed' ? 'low' : 'info'
+      }));
     }
 
     return changes;
   }
 
   /**
-   * SEMANTIC DIFF: Classes
+   * Parameter changes as seen by callers. Named parameters pair by name,
+   * destructured ones by position. Breaking means a call that worked before
+   * may now misbehave: an argument lands in a different parameter, a new
+   * argument is required, or an omitted argument gets a different default.
    */
-  diffClasses(oldClasses, newClasses) {
+  compareParameters(oldParams, newParams) {
     const changes = [];
+    const pairs = this.pairParameters(oldParams, newParams);
+    const oldPaired = new Set(pairs.values());
+    // A kept parameter moved when its argument position differs
+    const moved = newParam => oldParams.indexOf(pairs.get(newParam)) !== newParams.indexOf(newParam);
+
+    // Arguments of existing calls would land in other parameters
+    const byName = [...pairs].filter(([newParam, oldParam]) => !newParam.destructured && newParam.name === oldParam.name);
+    const oldOrder = oldParams.filter(p => byName.some(([, oldParam]) => oldParam === p)).map(p => p.name);
+    const newOrder = newParams.filter(p => byName.some(([newParam]) => newParam === p)).map(p => p.name);
+    if (oldOrder.join(',') !== newOrder.join(',')) {
+      changes.push(createChange({
+        kind: 'reordered',
+        entity: 'parameter',
+        name: newOrder.join(', '),
+        before: oldOrder,
+        after: newOrder,
+        severity: 'high',
+        breaking: true
+      }));
+    }
 
-    newClasses.forEach(newClass => {
-      const oldClass = oldClasses.find(c => c.name === newClass.name);
-      
-      if (!oldClass) {
-        const type = newClass.isComponent ? 'component class' : 'class';
-        changes.push(`Added ${type}: ${newClass.name}`);
-      } else {
-        // Compare methods
-        const methodChanges = this.compareClassMethods(oldClass, newClass);
-        if (methodChanges.length > 0) {
-          changes.push(`Class ${newClass.name} changed:`);
-          methodChanges.forEach(c => changes.push(`  └─ ${c}`));
+    newParams.forEach((param, index) => {
+      const oldParam = pairs.get(param);
+      if (oldParam) {
+        if (!param.destructured && oldParam.name !== param.name) {
+          // Same position, so callers are not affected
+          changes.push(createChange({
+            kind: 'renamed',
+            entity: 'parameter',
+            name: param.name,
+            before: oldParam.name,
+            after: param.name,
+            severity: 'info'
+          }));
+        }
+        changes.push(...this.compareDefaults(oldParam, param, param.name, 'default-value'));
+        if (param.destructured) {
+          const keyChanges = this.comparePatterns(oldParam.pattern, param.pattern, '');
+          if (keyChanges.length > 0) {
+            changes.push(createChange({
+              kind: 'modified',
+              entity: 'destructuring',
+              name: param.name,
+              before: oldParam.name,
+              after: param.name,
+              severity: maxSeverity(keyChanges),
+              breaking: keyChanges.some(c => c.breaking),
+              children: keyChanges
+            }));
+          }
         }
+        return;
       }
+
+      // Inserted before existing parameters, it takes over their arguments
+      const shifts = newParams.slice(index + 1).filter(p => pairs.has(p) && moved(p)).map(p => p.name);
+      const optional = param.hasDefault || param.rest || param.optional;
+      const breaking = !optional || shifts.length > 0;
+      changes.push(createChange({
+        kind: 'added',
+        entity: 'parameter',
+        name: param.name,
+        after: { ...param, position: index, shifts },
+        severity: breaking ? 'medium' : 'low',
+        breaking
+      }));
     });
 
-    oldClasses.forEach(oldClass => {
-      if (!newClasses.find(c => c.name === oldClass.name)) {
-        changes.push(`Removed class: ${oldClass.name}`);
-      }
+    const newFor = oldParam => [...pairs].find(([, p]) => p === oldParam)?.[0];
+    oldParams.forEach((param, index) => {
+      if (oldPaired.has(param)) return;
+      const shifts = oldParams.slice(index + 1).filter(p => oldPaired.has(p) && moved(newFor(p))).map(p => p.name);
+      changes.push(createChange({
+        kind: 'removed',
+        entity: 'parameter',
+        name: param.name,
+        before: { ...param, position: index, shifts },
+        severity: 'medium',
+        breaking: true
+      }));
     });
 
     return changes;
   }
 
   /**
-   * Compare class methods
+   * Map of new parameter → old parameter. Named parameters pair by name,
+   * destructured ones by position, and what is left unpaired at the same
+   * position on both sides is the parameter renamed in place.
    */
-  compareClassMethods(oldClass, newClass) {
-    const changes = [];
+  pairParameters(oldParams, newParams) {
+    const pairs = new Map();
+    const used = new Set();
+    const pair = (newParam, oldParam) => {
+      pairs.set(newParam, oldParam);
+      used.add(oldParam);
+    };
 
-    newClass.methods.forEach(newMethod => {
-      const oldMethod = oldClass.methods.find(m => m.name === newMethod.name);
-      if (!oldMethod) {
-        changes.push(`Added method: ${newMethod.name}${newMethod.static ? ' (static)' : ''}`);
-      }
+    newParams.forEach((param, index) => {
+      const oldParam = param.destructured
+        ? (oldParams[index]?.destructured ? oldParams[index] : null)
+        : oldParams.find(p => !p.destructured && p.name === param.name);
+      if (oldParam && !used.has(oldParam)) pair(param, oldParam);
     });
 
-    oldClass.methods.forEach(oldMethod => {
-      if (!newClass.methods.find(m => m.name === oldMethod.name)) {
-        changes.push(`Removed method: ${oldMethod.name}`);
-      }
+    newParams.forEach((param, index) => {
+      const oldParam = oldParams[index];
+      if (pairs.has(param) || !oldParam || used.has(oldParam)) return;
+      if (param.destructured || oldParam.destructured || Boolean(param.rest) !== Boolean(oldParam.rest)) return;
+      pair(param, oldParam);
     });
 
-    return changes;
+    return pairs;
   }
 
   /**
-   * SEMANTIC DIFF: Imports
+   * Default value added, removed or changed for a parameter or destructured
+   * key. Losing a default makes the argument required unless it stays `?`.
    */
-  diffImports(oldImports, newImports) {
+  compareDefaults(oldItem, newItem, name, entity) {
+    if (!oldItem.hasDefault && !newItem.hasDefault) return [];
+
+    if (!oldItem.hasDefault) {
+      return [createChange({
+        kind: 'added',
+        entity,
+        name,
+        after: newItem.defaultValue,
+        severity: 'low',
+        breaking: false
+      })];
+    }
+    if (!newItem.hasDefault) {
+      const breaking = !newItem.optional;
+      return [createChange({
+        kind: 'removed',
+        entity,
+        name,
+        before: oldItem.defaultValue,
+        severity: breaking ? 'medium' : 'low',
+        breaking
+      })];
+    }
+    if (oldItem.defaultShape !== newItem.defaultShape) {
+      return [createChange({
+        kind: 'modified',
+        entity,
+        name,
+        before: oldItem.defaultValue,
+        after: newItem.defaultValue,
+        severity: 'medium',
+        breaking: true
+      })];
+    }
+    return [];
+  }
+
+  /**
+   * Key-by-key changes between two destructuring patterns, with paths like
+   * `options.retry`. A new key without a default is input callers must now
+   * provide; a removed key is ignored from then on, which callers do not notice.
+   */
+  comparePatterns(oldPattern, newPattern, prefix) {
     const changes = [];
+    const path = key => (prefix && !key.startsWith('[') ? `${prefix}.${key}` : prefix + key);
+
+    if (oldPattern.kind !== newPattern.kind) {
+      return [createChange({
+        kind: 'modified',
+        entity: 'destructured-key',
+        name: prefix || newPattern.kind,
+        before: oldPattern.kind,
+        after: newPattern.kind,
+        severity: 'high',
+        breaking: true
+      })];
+    }
+
+    newPattern.keys.forEach(newKey => {
+      const oldKey = oldPattern.keys.find(k => k.key === newKey.key);
+      if (!oldKey) {
+        changes.push(createChange({
+          kind: 'added',
+          entity: 'destructured-key',
+          name: path(newKey.key),
+          after: { hasDefault: newKey.hasDefault, defaultValue: newKey.defaultValue },
+          severity: newKey.hasDefault ? 'low' : 'medium',
+          breaking: !newKey.hasDefault
+        }));
+        return;
+      }
 
-    newImports.forEach(newImp => {
-      const oldImp = oldImports.find(i => i.source === newImp.source);
-      if (!oldImp) {
-        const names = newImp.specifiers.map(s => s.local).join(', ');
-        changes.push(`Added import: ${names} from '${newImp.source}'`);
+      changes.push(...this.compareDefaults(oldKey, newKey, path(newKey.key), 'destructured-default'));
+
+      if (oldKey.pattern && newKey.pattern) {
+        changes.push(...this.comparePatterns(oldKey.pattern, newKey.pattern, path(newKey.key)));
+      } else if (oldKey.pattern || newKey.pattern) {
+        // `{ options }` ↔ `{ options: { retry } }`
+        changes.push(createChange({
+          kind: 'modified',
+          entity: 'destructured-key',
+          name: path(newKey.key),
+          before: oldKey.pattern ? patternToString(oldKey.pattern) : 'value',
+          after: newKey.pattern ? patternToString(newKey.pattern) : 'value',
+          severity: 'medium',
+          breaking: !!newKey.pattern
+        }));
       }
     });
 
-    oldImports.forEach(oldImp => {
-      if (!newImports.find(i => i.source === oldImp.source)) {
-        changes.push(`Removed import from '${oldImp.source}'`);
-      }
+    oldPattern.keys.forEach(oldKey => {
+      if (newPattern.keys.some(k => k.key === oldKey.key)) return;
+      changes.push(createChange({
+        kind: 'removed',
+        entity: 'destructured-key',
+        name: path(oldKey.key),
+        severity: 'low',
+        breaking: false
+      }));
     });
 
     return changes;
   }
 
   /**
-   * SEMANTIC DIFF: Exports
+   * Type-level signature changes. Parameters are judged from the caller's
+   * side (a narrowed parameter rejects arguments that used to compile), the
+   * return type from the consumer's side (a widened return type hands back
+   * values callers did not handle).
    */
-  diffExports(oldExports, newExports) {
+  compareSignatureTypes(oldFunc, newFunc) {
     const changes = [];
+    const pairs = this.pairParameters(oldFunc.params, newFunc.params);
+
+    newFunc.params.forEach(newParam => {
+      const oldParam = pairs.get(newParam);
+      if (!oldParam || !oldParam.typeUnion || !newParam.typeUnion) return;
+
+      const typeChange = compareTypes(oldParam.typeUnion, newParam.typeUnion);
+      const becameRequired = oldParam.optional && !newParam.optional;
+      if (typeChange === 'same' && oldParam.optional === newParam.optional) return;
+
+      const breaking = typeChange === 'narrowed' || typeChange === 'changed' || becameRequired;
+      changes.push(createChange({
+        kind: 'modified',
+        entity: 'parameter',
+        name: newParam.name,
+        before: { type: oldParam.typeAnnotation || 'any', optional: oldParam.optional },
+        after: { type: newParam.typeAnnotation || 'any', optional: newParam.optional, typeChange },
+        severity: breaking ? 'medium' : 'low',
+        breaking
+      }));
+    });
 
-    const newDefaultExport = newExports.find(e => e.type === 'default');
-    const oldDefaultExport = oldExports.find(e => e.type === 'default');
+    const returnChange = compareTypes(oldFunc.returnUnion, newFunc.returnUnion);
+    if (returnChange !== 'same') {
+      const breaking = returnChange === 'widened' || returnChange === 'changed';
+      changes.push(createChange({
+        kind: 'modified',
+        entity: 'return-type',
+        name: newFunc.name,
+        before: { type: oldFunc.returnType || 'any' },
+        after: { type: newFunc.returnType || 'any', typeChange: returnChange },
+        severity: breaking ? 'medium' : 'low',
+        breaking
+      }));
+    }
 
-    if (newDefaultExport && !oldDefaultExport) {
-      changes.push(`Added default export: ${newDefaultExport.name}`);
-    } else if (!newDefaultExport && oldDefaultExport) {
-      changes.push(`Removed default export: ${oldDefaultExport.name}`);
+    if (oldFunc.typeParams !== newFunc.typeParams) {
+      changes.push(createChange({
+        kind: 'modified',
+        entity: 'type-parameters',
+        name: newFunc.name,
+        before: oldFunc.typeParams,
+        after: newFunc.typeParams,
+        severity: 'medium',
+        breaking: true
+      }));
     }
 
+    // Callers may rely on any removed overload; new overloads only accept more
+    changes.push(...this.diffNamedList(
+      oldFunc.overloads,
+      newFunc.overloads,
+      'overload',
+      kind => kind === 'removed'
+    ));
+
     return changes;
   }
 
   /**
-   * SEMANTIC DIFF: Variables
+   * SEMANTIC DIFF: Classes
    */
-  diffVariables(oldVars, newVars) {
+  diffClasses(oldClasses, newClasses) {
     const changes = [];
 
-    newVars.forEach(newVar => {
-      const oldVar = oldVars.find(v => v.name === newVar.name);
-      if (oldVar && oldVar.kind !== newVar.kind) {
-        changes.push(`Changed ${newVar.name} from '${oldVar.kind}' to '${newVar.kind}'`);
-      }
+    newClasses.forEach(newClass => {
+      const oldClass = oldClasses.find(c => c.name === newClass.name);
+      
+      if (!oldClass) {
+        changes.push(createChange({
+          kind: 'added',
+          entity: 'class',
+          name: newClass.name,
+          after: { isComponent: newClass.isComponent, superClass: newClass.superClass || null },
+          location: locate(null, newClass),
+          severity: 'low'
+        }));
+      } else {
+        // Compare methods
+        const methodChanges = this.compareClassMethods(oldClass, newClass);
+        if (methodChanges.length > 0) {
+          changes.push(createChange({
+            kind: 'modified',
+            entity: 'class',
+            name: newClass.name,
+            location: locate(oldClass, newClass),
+            severity: maxSeverity(methodChanges),
+            breaking: methodChanges.some(c => c.breaking),
+            children: methodChanges
+          }));
+        }
+      }
+    });
+
+    oldClasses.forEach(oldClass => {
+      if (!newClasses.find(c => c.name === oldClass.name)) {
+        changes.push(createChange({
+          kind: 'removed',
+          entity: 'class',
+          name: oldClass.name,
+          location: locate(oldClass, null),
+          severity: 'high',
+          breaking: true
+        }));
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Compare class members: methods, accessors, fields and static blocks.
+   * Members pair up by name and static-ness first, then by name alone so a
+   * member that became (or stopped being) static is reported as modified.
+   */
+  compareClassMethods(oldClass, newClass) {
+    const changes = [];
+    const remainingOld = [...oldClass.members];
+    const pairs = [];
+    const unpaired = [];
+
+    const takeOld = (matches) => {
+      const index = remainingOld.findIndex(matches);
+      return index === -1 ? null : remainingOld.splice(index, 1)[0];
+    };
+    newClass.members
+      .filter(newMember => {
+        const oldMember = takeOld(m => m.name === newMember.name && m.static === newMember.static);
+        if (oldMember) pairs.push([oldMember, newMember]);
+        return !oldMember;
+      })
+      .forEach(newMember => {
+        const oldMember = takeOld(m => m.name === newMember.name);
+        if (oldMember) {
+          pairs.push([oldMember, newMember]);
+        } else {
+          unpaired.push(newMember);
+        }
+      });
+
+    // Class-level decorators, then members
+    changes.push(...this.diffNamedList(oldClass.decorators, newClass.decorators, 'decorator', () => false));
+    if (oldClass.abstract !== newClass.abstract) {
+      changes.push(this.modifierChange('abstract', newClass.abstract, newClass.abstract));
+    }
+
+    pairs.forEach(([oldMember, newMember]) => {
+      const children = this.compareClassMember(oldMember, newMember);
+      if (children.length === 0) return;
+      changes.push(createChange({
+        kind: 'modified',
+        entity: classMemberEntity(newMember),
+        name: newMember.name,
+        location: locate(oldMember, newMember),
+        severity: maxSeverity(children),
+        breaking: children.some(c => c.breaking),
+        children
+      }));
+    });
+
+    unpaired.forEach(newMember => {
+      // Subclasses must implement a new abstract member
+      const breaking = newMember.abstract;
+      changes.push(createChange({
+        kind: 'added',
+        entity: classMemberEntity(newMember),
+        name: newMember.name,
+        after: { static: newMember.static, kind: newMember.kind, visibility: newMember.visibility },
+        location: locate(null, newMember),
+        severity: breaking ? 'medium' : 'low',
+        breaking
+      }));
+    });
+
+    remainingOld.forEach(oldMember => {
+      // Private members were never reachable from outside the class
+      const reachable = isReachableMember(oldMember);
+      changes.push(createChange({
+        kind: 'removed',
+        entity: classMemberEntity(oldMember),
+        name: oldMember.name,
+        before: { static: oldMember.static, kind: oldMember.kind, visibility: oldMember.visibility },
+        location: locate(oldMember, null),
+        severity: reachable ? 'high' : 'low',
+        breaking: reachable
+      }));
+    });
+
+    return changes;
+  }
+
+  /**
+   * Changes to one class member: visibility, modifiers, decorators, then
+   * the signature and body (methods), type and initial value (fields) or
+   * body (static blocks)
+   */
+  compareClassMember(oldMember, newMember) {
+    const changes = [];
+
+    if (oldMember.visibility !== newMember.visibility) {
+      // public → protected → private: each step hides the member from someone
+      const breaking = VISIBILITY_ORDER.indexOf(newMember.visibility) < VISIBILITY_ORDER.indexOf(oldMember.visibility);
+      changes.push(createChange({
+        kind: 'modified',
+        entity: 'visibility',
+        name: newMember.name,
+        before: oldMember.visibility,
+        after: newMember.visibility,
+        severity: breaking ? 'medium' : 'low',
+        breaking
+      }));
+    }
+
+    if (oldMember.static !== newMember.static) {
+      changes.push(this.modifierChange('static', newMember.static, true));
+    }
+    if (oldMember.abstract !== newMember.abstract) {
+      changes.push(this.modifierChange('abstract', newMember.abstract, newMember.abstract));
+    }
+    changes.push(...this.diffNamedList(oldMember.decorators, newMember.decorators, 'decorator', () => false));
+
+    if (oldMember.kind === 'static-block' || newMember.kind === 'static-block') {
+      const body = compareBodies(oldMember.body, newMember.body);
+      if (body.status === 'changed') {
+        changes.push(createChange({
+          kind: 'modified',
+          entity: 'body',
+          name: newMember.name,
+          after: { added: body.added, removed: body.removed },
+          severity: 'low'
+        }));
+      }
+    } else if (oldMember.kind === 'field' || newMember.kind === 'field') {
+      changes.push(...this.compareClassFields(oldMember, newMember));
+    } else {
+      changes.push(...this.compareFunctions(oldMember, newMember));
+    }
+
+    return changes;
+  }
+
+  /**
+   * Field type, optional/readonly flags and initial value. Fields are read
+   * and (unless readonly) written from outside, so any type change to a
+   * writable field is breaking; a readonly field only breaks when widened.
+   * Private fields were never reachable from outside, so they never break.
+   */
+  compareClassFields(oldField, newField) {
+    const changes = [];
+    if (oldField.kind !== 'field' || newField.kind !== 'field') {
+      // A function-valued field became a plain value or the other way round
+      changes.push(createChange({
+        kind: 'modified',
+        entity: 'initializer',
+        name: newField.name,
+        severity: 'medium'
+      }));
+      return changes;
+    }
+
+    const typeChange = compareTypes(oldField.typeUnion, newField.typeUnion);
+    if (typeChange !== 'same' ||
+        oldField.optional !== newField.optional ||
+        oldField.readonly !== newField.readonly) {
+      const typeBreaking = newField.readonly
+        ? typeChange === 'widened' || typeChange === 'changed'
+        : typeChange !== 'same' && typeChange !== 'unknown';
+      const breaking = isReachableMember(oldField) && (typeBreaking || (newField.readonly && !oldField.readonly));
+      changes.push(createChange({
+        kind: 'modified',
+        entity: 'field-type',
+        name: newField.name,
+        before: { type: oldField.typeAnnotation || 'any', optional: oldField.optional, readonly: oldField.readonly },
+        after: { type: newField.typeAnnotation || 'any', optional: newField.optional, readonly: newField.readonly, typeChange },
+        severity: breaking ? 'medium' : 'low',
+        breaking
+      }));
+    }
+
+    if (oldField.value !== newField.value) {
+      changes.push(createChange({
+        kind: 'modified',
+        entity: 'initializer',
+        name: newField.name,
+        severity: 'low'
+      }));
+    }
+
+    return changes;
+  }
+
+  /**
+   * `static` / `abstract` gained or lost
+   */
+  modifierChange(modifier, gained, breaking) {
+    return createChange({
+      kind: gained ? 'added' : 'removed',
+      entity: 'modifier',
+      name: modifier,
+      severity: breaking ? 'medium' : 'low',
+      breaking
+    });
+  }
+
+  /**
+   * SEMANTIC DIFF: TypeScript declarations.
+   * Breaking means code written against the old declaration may stop
+   * compiling: a value it accepted is rejected, or a member it used is gone.
+   */
+  diffTypeDeclarations(oldTypes, newTypes) {
+    const changes = [];
+    const key = t => `${t.kind}:${t.name}`;
+
+    newTypes.forEach(newType => {
+      const oldType = oldTypes.find(t => key(t) === key(newType));
+
+      if (!oldType) {
+        changes.push(createChange({
+          kind: 'added',
+          entity: newType.kind,
+          name: newType.name,
+          location: locate(null, newType),
+          severity: 'low'
+        }));
+        return;
+      }
+
+      const children = this.compareTypeDeclarations(oldType, newType);
+      if (children.length > 0) {
+        changes.push(createChange({
+          kind: 'modified',
+          entity: newType.kind,
+          name: newType.name,
+          location: locate(oldType, newType),
+          severity: maxSeverity(children),
+          breaking: children.some(c => c.breaking),
+          children
+        }));
+      }
+    });
+
+    oldTypes.forEach(oldType => {
+      if (!newTypes.some(t => key(t) === key(oldType))) {
+        changes.push(createChange({
+          kind: 'removed',
+          entity: oldType.kind,
+          name: oldType.name,
+          location: locate(oldType, null),
+          severity: 'high',
+          breaking: true
+        }));
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Member-level changes between two versions of one TS declaration
+   */
+  compareTypeDeclarations(oldType, newType) {
+    const changes = [];
+
+    if (oldType.typeParams !== undefined && oldType.typeParams !== newType.typeParams) {
+      changes.push(createChange({
+        kind: 'modified',
+        entity: 'type-parameters',
+        name: newType.name,
+        before: oldType.typeParams,
+        after: newType.typeParams,
+        severity: 'medium',
+        breaking: true
+      }));
+    }
+
+    switch (newType.kind) {
+      case 'interface':
+        changes.push(...this.diffNamedList(oldType.extends, newType.extends, 'extends', () => true));
+        changes.push(...this.diffTypeMembers(oldType.members, newType.members));
+        break;
+
+      case 'type':
+        if (oldType.members && newType.members) {
+          changes.push(...this.diffTypeMembers(oldType.members, newType.members));
+        } else if (oldType.union.length > 1 || newType.union.length > 1) {
+          // Union members: new ones are accepted too, dropped ones no longer are
+          changes.push(...this.diffNamedList(oldType.union, newType.union, 'union-member', kind => kind === 'removed'));
+        } else if (oldType.type !== newType.type) {
+          changes.push(createChange({
+            kind: 'modified',
+            entity: 'definition',
+            name: newType.name,
+            before: oldType.type,
+            after: newType.type,
+            severity: 'medium',
+            breaking: true
+          }));
+        }
+        break;
+
+      case 'enum':
+        changes.push(...this.diffEnumMembers(oldType.members, newType.members));
+        break;
+
+      case 'namespace':
+        changes.push(...this.diffNamedList(
+          oldType.members.map(m => m.name),
+          newType.members.map(m => m.name),
+          'declaration',
+          kind => kind === 'removed'
+        ));
+        break;
+    }
+
+    return changes;
+  }
+
+  /**
+   * Added/removed entries of a list of names (heritage, union members, ...);
+   * isBreaking(kind) decides which direction breaks consumers
+   */
+  diffNamedList(oldNames, newNames, entity, isBreaking) {
+    const changes = [];
+    const record = (kind, name) => createChange({
+      kind,
+      entity,
+      name,
+      severity: isBreaking(kind) ? 'medium' : 'low',
+      breaking: isBreaking(kind)
+    });
+
+    newNames.filter(n => !oldNames.includes(n)).forEach(name => changes.push(record('added', name)));
+    oldNames.filter(n => !newNames.includes(n)).forEach(name => changes.push(record('removed', name)));
+    return changes;
+  }
+
+  /**
+   * Interface / type literal members: added, removed, optional or readonly
+   * toggled, and type changes judged as widened or narrowed
+   */
+  diffTypeMembers(oldMembers, newMembers) {
+    const changes = [];
+
+    newMembers.forEach(newMember => {
+      const oldMember = oldMembers.find(m => m.name === newMember.name);
+
+      if (!oldMember) {
+        // Existing values lack the new member unless it is optional
+        changes.push(createChange({
+          kind: 'added',
+          entity: 'property',
+          name: newMember.name,
+          after: { type: newMember.type, optional: newMember.optional },
+          location: locate(null, newMember),
+          severity: newMember.optional ? 'low' : 'medium',
+          breaking: !newMember.optional
+        }));
+        return;
+      }
+
+      const typeChange = typeChangeOf(oldMember, newMember);
+      const becameRequired = oldMember.optional && !newMember.optional;
+      const becameReadonly = !oldMember.readonly && newMember.readonly;
+
+      if (typeChange === 'same' &&
+          oldMember.optional === newMember.optional &&
+          oldMember.readonly === newMember.readonly) {
+        return;
+      }
+
+      const breaking = typeChange === 'narrowed' || typeChange === 'changed' || becameRequired || becameReadonly;
+      changes.push(createChange({
+        kind: 'modified',
+        entity: 'property',
+        name: newMember.name,
+        before: { type: oldMember.type, optional: oldMember.optional, readonly: oldMember.readonly },
+        after: { type: newMember.type, optional: newMember.optional, readonly: newMember.readonly, typeChange },
+        location: locate(oldMember, newMember),
+        severity: breaking ? 'medium' : 'low',
+        breaking
+      }));
+    });
+
+    oldMembers.forEach(oldMember => {
+      if (!newMembers.some(m => m.name === oldMember.name)) {
+        changes.push(createChange({
+          kind: 'removed',
+          entity: 'property',
+          name: oldMember.name,
+          before: { type: oldMember.type, optional: oldMember.optional },
+          location: locate(oldMember, null),
+          severity: 'medium',
+          breaking: true
+        }));
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Enum members: additions are compatible, removals and value changes are not
+   */
+  diffEnumMembers(oldMembers, newMembers) {
+    const changes = [];
+
+    newMembers.forEach(newMember => {
+      const oldMember = oldMembers.find(m => m.name === newMember.name);
+
+      if (!oldMember) {
+        changes.push(createChange({
+          kind: 'added',
+          entity: 'enum-member',
+          name: newMember.name,
+          after: newMember.value,
+          location: locate(null, newMember),
+          severity: 'low'
+        }));
+      } else if (oldMember.value !== newMember.value) {
+        changes.push(createChange({
+          kind: 'modified',
+          entity: 'enum-member',
+          name: newMember.name,
+          before: oldMember.value,
+          after: newMember.value,
+          location: locate(oldMember, newMember),
+          severity: 'medium',
+          breaking: true
+        }));
+      }
+    });
+
+    oldMembers.forEach(oldMember => {
+      if (!newMembers.some(m => m.name === oldMember.name)) {
+        changes.push(createChange({
+          kind: 'removed',
+          entity: 'enum-member',
+          name: oldMember.name,
+          before: oldMember.value,
+          location: locate(oldMember, null),
+          severity: 'medium',
+          breaking: true
+        }));
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * SEMANTIC DIFF: Imports
+   * Matched by source; the specifiers of a source that is imported on both
+   * sides are compared one by one (all declarations of a source together)
+   */
+  diffImports(oldImports, newImports) {
+    const changes = [];
+    const oldBySource = importsBySource(oldImports);
+    const newBySource = importsBySource(newImports);
+
+    newBySource.forEach((imports, source) => {
+      if (!oldBySource.has(source)) {
+        imports.forEach(newImp => {
+          changes.push(createChange({
+            kind: 'added',
+            entity: 'import',
+            name: newImp.source,
+            after: newImp.specifiers.map(s => s.local),
+            location: locate(null, newImp),
+            severity: 'low'
+          }));
+        });
+        return;
+      }
+
+      const oldImps = oldBySource.get(source);
+      const children = this.diffImportSpecifiers(
+        oldImps.flatMap(i => i.specifiers),
+        imports.flatMap(i => i.specifiers)
+      );
+      if (children.length > 0) {
+        changes.push(createChange({
+          kind: 'modified',
+          entity: 'import',
+          name: source,
+          location: locate(oldImps[0], imports[0]),
+          severity: maxSeverity(children),
+          children
+        }));
+      }
+    });
+
+    oldBySource.forEach((imports, source) => {
+      if (newBySource.has(source)) return;
+      imports.forEach(oldImp => {
+        changes.push(createChange({
+          kind: 'removed',
+          entity: 'import',
+          name: oldImp.source,
+          before: oldImp.specifiers.map(s => s.local),
+          location: locate(oldImp, null),
+          severity: 'low'
+        }));
+      });
+    });
+
+    return changes;
+  }
+
+  /**
+   * `import-specifier` records for one source: specifiers paired by imported
+   * name and local binding, then by imported name alone (an alias change),
+   * then default ↔ namespace imports under the same local name
+   */
+  diffImportSpecifiers(oldSpecs, newSpecs) {
+    const remainingOld = [...oldSpecs];
+    const pairs = [];
+    const unpaired = [];
+
+    const pairWith = (matches) => (newSpec) => {
+      const index = remainingOld.findIndex(oldSpec => matches(oldSpec, newSpec));
+      if (index === -1) return true;
+      pairs.push([remainingOld.splice(index, 1)[0], newSpec]);
+      return false;
+    };
+
+    newSpecs
+      .filter(pairWith((a, b) => a.imported === b.imported && a.local === b.local))
+      .filter(pairWith((a, b) => a.imported === b.imported))
+      .filter(pairWith((a, b) => a.local === b.local &&
+        ['default', '*'].includes(a.imported) && ['default', '*'].includes(b.imported)))
+      .forEach(newSpec => unpaired.push(newSpec));
+
+    const changes = [];
+
+    pairs.forEach(([oldSpec, newSpec]) => {
+      if (oldSpec.imported === newSpec.imported &&
+          oldSpec.local === newSpec.local &&
+          oldSpec.typeOnly === newSpec.typeOnly) {
+        return;
+      }
+      changes.push(createChange({
+        kind: 'modified',
+        entity: 'import-specifier',
+        name: newSpec.local,
+        before: specifierSummary(oldSpec),
+        after: specifierSummary(newSpec),
+        location: locate(oldSpec, newSpec),
+        severity: 'low'
+      }));
+    });
+
+    unpaired.forEach(newSpec => {
+      changes.push(createChange({
+        kind: 'added',
+        entity: 'import-specifier',
+        name: newSpec.local,
+        after: specifierSummary(newSpec),
+        location: locate(null, newSpec),
+        severity: 'low'
+      }));
+    });
+
+    remainingOld.forEach(oldSpec => {
+      changes.push(createChange({
+        kind: 'removed',
+        entity: 'import-specifier',
+        name: oldSpec.local,
+        before: specifierSummary(oldSpec),
+        location: locate(oldSpec, null),
+        severity: 'low'
+      }));
+    });
+
+    return changes;
+  }
+
+  /**
+   * Duplicate and unused imports introduced by the change: present in the
+   * new file but not in the old one. Usage is checked against the
+   * identifiers the new file reads (see isReference).
+   */
+  detectImportIssues(oldStructure, newStructure) {
+    const changes = [];
+
+    const oldDuplicates = duplicateImports(oldStructure.imports);
+    duplicateImports(newStructure.imports).forEach((duplicate, key) => {
+      const before = oldDuplicates.get(key);
+      if (before && before.count >= duplicate.count) return;
+      changes.push(createChange({
+        kind: 'duplicate',
+        entity: 'import',
+        name: duplicate.source,
+        after: { imported: duplicate.imported, count: duplicate.count },
+        location: locate(null, duplicate.node),
+        severity: 'low'
+      }));
+    });
+
+    const isUsed = (references, local) => (references.get(local) || 0) > 0;
+    const oldLocals = new Map();
+    oldStructure.imports.forEach(imp => {
+      imp.specifiers.forEach(spec => oldLocals.set(spec.local, imp.source));
+    });
+
+    newStructure.imports.forEach(imp => {
+      imp.specifiers.forEach(spec => {
+        if (!spec.local || isUsed(newStructure.references, spec.local)) return;
+        // Already imported from the same source and already unused: not this change's doing
+        if (oldLocals.get(spec.local) === imp.source && !isUsed(oldStructure.references, spec.local)) return;
+
+        changes.push(createChange({
+          kind: 'unused',
+          entity: 'import',
+          name: spec.local,
+          after: { source: imp.source, imported: spec.imported },
+          location: locate(null, spec),
+          severity: 'low'
+        }));
+      });
+    });
+
+    return changes;
+  }
+
+  /**
+   * SEMANTIC DIFF: Exports
+   */
+  diffExports(oldExports, newExports) {
+    const changes = [];
+
+    const newDefaultExport = newExports.find(e => e.type === 'default');
+    const oldDefaultExport = oldExports.find(e => e.type === 'default');
+
+    if (newDefaultExport && !oldDefaultExport) {
+      changes.push(createChange({
+        kind: 'added',
+        entity: 'export',
+        name: newDefaultExport.name,
+        after: 'default',
+        location: locate(null, newDefaultExport),
+        severity: 'low'
+      }));
+    } else if (!newDefaultExport && oldDefaultExport) {
+      changes.push(createChange({
+        kind: 'removed',
+        entity: 'export',
+        name: oldDefaultExport.name,
+        before: 'default',
+        location: locate(oldDefaultExport, null),
+        severity: 'high',
+        breaking: true
+      }));
+    } else if (oldDefaultExport?.valueKind && newDefaultExport?.valueKind &&
+               oldDefaultExport.valueKind !== newDefaultExport.valueKind) {
+      // `module.exports = function` → `module.exports = class`: callers must now use `new`
+      changes.push(createChange({
+        kind: 'modified',
+        entity: 'export',
+        name: newDefaultExport.name,
+        before: oldDefaultExport.valueKind,
+        after: newDefaultExport.valueKind,
+        location: locate(oldDefaultExport, newDefaultExport),
+        severity: 'high',
+        breaking: true
+      }));
+    }
+
+    // Named exports: a removed name breaks every importer of it
+    const oldNamed = this.namedExports(oldExports);
+    const newNamed = this.namedExports(newExports);
+
+    newNamed.forEach(exp => {
+      if (!oldNamed.some(e => e.name === exp.name)) {
+        changes.push(createChange({
+          kind: 'added',
+          entity: 'export',
+          name: exp.name,
+          after: exp.source ? `from '${exp.source}'` : 'named',
+          location: locate(null, exp),
+          severity: 'low'
+        }));
+      }
+    });
+
+    oldNamed.forEach(exp => {
+      if (!newNamed.some(e => e.name === exp.name)) {
+        changes.push(createChange({
+          kind: 'removed',
+          entity: 'export',
+          name: exp.name,
+          before: exp.source ? `from '${exp.source}'` : 'named',
+          location: locate(exp, null),
+          severity: 'high',
+          breaking: true
+        }));
+      }
+    });
+
+    // `export * from`: everything the source module exports comes or goes with it
+    const oldStars = oldExports.filter(e => e.type === 'all' && !e.exported);
+    const newStars = newExports.filter(e => e.type === 'all' && !e.exported);
+
+    newStars.filter(n => !oldStars.some(o => o.source === n.source)).forEach(exp => {
+      changes.push(createChange({
+        kind: 'added',
+        entity: 'export',
+        name: '*',
+        after: `from '${exp.source}'`,
+        location: locate(null, exp),
+        severity: 'low'
+      }));
+    });
+    oldStars.filter(o => !newStars.some(n => n.source === o.source)).forEach(exp => {
+      changes.push(createChange({
+        kind: 'removed',
+        entity: 'export',
+        name: '*',
+        before: `from '${exp.source}'`,
+        location: locate(exp, null),
+        severity: 'high',
+        breaking: true
+      }));
+    });
+
+    return changes;
+  }
+
+  /**
+   * SEMANTIC DIFF: Variables
+   */
+  diffVariables(oldVars, newVars) {
+    const changes = [];
+
+    newVars.forEach(newVar => {
+      const oldVar = oldVars.find(v => v.name === newVar.name);
+      if (oldVar && oldVar.kind !== newVar.kind) {
+        changes.push(createChange({
+          kind: 'modified',
+          entity: 'variable',
+          name: newVar.name,
+          before: oldVar.kind,
+          after: newVar.kind,
+          location: locate(oldVar, newVar),
+          severity: 'low'
+        }));
+      }
     });
 
     return changes;
@@ -745,12 +3173,294 @@ class ASTParser {
    */
   diffReactComponents(oldComps, newComps) {
     const changes = [];
+    const counterparts = new Map(); // new component → old component of the same name
 
     newComps.forEach(newComp => {
       const oldComp = oldComps.find(c => c.name === newComp.name);
-      if (!oldComp) {
-        changes.push(`Added component: ${newComp.name}`);
+      if (oldComp) counterparts.set(newComp, oldComp);
+    });
+
+    // Components whose name disappeared may have been renamed: pair them by
+    // body, identical ones first however small (`<button />` renders alike on purpose)
+    const pairedOld = new Set(counterparts.values());
+    const renames = [];
+    newComps.filter(c => !counterparts.has(c)).forEach(newComp => {
+      const shape = fingerprint(newComp.body).shape;
+      const oldComp = oldComps.find(c => !pairedOld.has(c) && !renames.some(r => r.oldFunc === c) &&
+        c.kind === newComp.kind && fingerprint(c.body).shape === shape);
+      if (oldComp) renames.push({ oldFunc: oldComp, newFunc: newComp, similarity: 100 });
+    });
+    renames.push(...matchFunctions(
+      oldComps.filter(c => !pairedOld.has(c) && !renames.some(r => r.oldFunc === c)),
+      newComps.filter(c => !counterparts.has(c) && !renames.some(r => r.newFunc === c)),
+      (oldComp, newComp) => oldComp.kind === newComp.kind
+    ));
+
+    newComps.forEach(newComp => {
+      const rename = renames.find(r => r.newFunc === newComp);
+      const oldComp = counterparts.get(newComp);
+
+      if (rename) {
+        const children = this.compareComponents(rename.oldFunc, newComp);
+        changes.push(createChange({
+          kind: 'renamed',
+          entity: 'component',
+          name: newComp.name,
+          before: { name: rename.oldFunc.name },
+          after: { name: newComp.name, similarity: rename.similarity },
+          location: locate(rename.oldFunc, newComp),
+          severity: maxSeverity([{ severity: 'medium' }, ...children]),
+          breaking: true,
+          children
+        }));
+      } else if (!oldComp) {
+        changes.push(createChange({
+          kind: 'added',
+          entity: 'component',
+          name: newComp.name,
+          after: { kind: newComp.kind, wrappers: newComp.wrappers },
+          location: locate(null, newComp),
+          severity: 'low'
+        }));
+      } else {
+        const children = this.compareComponents(oldComp, newComp);
+        if (children.length > 0) {
+          changes.push(createChange({
+            kind: 'modified',
+            entity: 'component',
+            name: newComp.name,
+            location: locate(oldComp, newComp),
+            severity: maxSeverity(children),
+            breaking: children.some(c => c.breaking),
+            children
+          }));
+        }
+      }
+    });
+
+    const renamedOld = new Set(renames.map(r => r.oldFunc));
+    oldComps.forEach(oldComp => {
+      if (pairedOld.has(oldComp) || renamedOld.has(oldComp)) return;
+      changes.push(createChange({
+        kind: 'removed',
+        entity: 'component',
+        name: oldComp.name,
+        before: { kind: oldComp.kind, wrappers: oldComp.wrappers },
+        location: locate(oldComp, null),
+        severity: 'high',
+        breaking: true
+      }));
+    });
+
+    return changes;
+  }
+
+  /**
+   * Changes to one component: class ↔ function conversion, memo / forwardRef
+   * wrappers and its props
+   */
+  compareComponents(oldComp, newComp) {
+    const changes = [];
+
+    if (oldComp.kind !== newComp.kind) {
+      changes.push(createChange({
+        kind: 'modified',
+        entity: 'component-kind',
+        name: newComp.name,
+        before: oldComp.kind,
+        after: newComp.kind,
+        severity: 'medium'
+      }));
+    }
+
+    // Dropping forwardRef leaves callers' refs pointing at nothing
+    newComp.wrappers.filter(w => !oldComp.wrappers.includes(w)).forEach(wrapper => {
+      changes.push(createChange({ kind: 'added', entity: 'wrapper', name: wrapper, severity: 'low', breaking: false }));
+    });
+    oldComp.wrappers.filter(w => !newComp.wrappers.includes(w)).forEach(wrapper => {
+      const breaking = wrapper === 'forwardRef';
+      changes.push(createChange({
+        kind: 'removed',
+        entity: 'wrapper',
+        name: wrapper,
+        severity: breaking ? 'medium' : 'low',
+        breaking
+      }));
+    });
+
+    changes.push(...this.diffProps(oldComp.props, newComp.props));
+    changes.push(...this.diffRenderTrees(renderElements(oldComp), renderElements(newComp)));
+    return changes;
+  }
+
+  /**
+   * What a component renders: child components that appear or disappear,
+   * elements that became (or stopped being) conditional, list items losing
+   * or changing their `key`, and `on*` handler props per element. Elements
+   * pair up by their path in the tree (`div > ul > li`) and position.
+   */
+  diffRenderTrees(oldElements, newElements) {
+    const changes = [];
+    const id = element => `${element.path}#${element.ordinal}`;
+    const label = element => `<${element.name}>${element.ordinal > 1 ? ` #${element.ordinal}` : ''}`;
+
+    // Child components by name: another instance of one already rendered is not news
+    const components = elements => new Set(elements.filter(e => isComponentName(e.name)).map(e => e.name));
+    const oldComponents = components(oldElements);
+    const newComponents = components(newElements);
+    newComponents.forEach(name => {
+      if (!oldComponents.has(name)) {
+        changes.push(createChange({ kind: 'added', entity: 'child-component', name, severity: 'low' }));
+      }
+    });
+    oldComponents.forEach(name => {
+      if (!newComponents.has(name)) {
+        changes.push(createChange({ kind: 'removed', entity: 'child-component', name, severity: 'low' }));
+      }
+    });
+
+    newElements.forEach(newElement => {
+      const oldElement = oldElements.find(e => id(e) === id(newElement));
+      const location = locate(oldElement, newElement);
+
+      if ((oldElement?.condition || null) !== newElement.condition) {
+        changes.push(createChange({
+          kind: newElement.condition ? 'added' : 'removed',
+          entity: 'conditional-render',
+          name: label(newElement),
+          before: oldElement?.condition || null,
+          after: newElement.condition,
+          location,
+          severity: 'low'
+        }));
+      }
+
+      if (newElement.list && newElement.key === null && (!oldElement || oldElement.key !== null || !oldElement.list)) {
+        // React needs keys to match list items across renders
+        changes.push(createChange({
+          kind: oldElement?.list && oldElement.key !== null ? 'removed' : 'warning',
+          entity: 'list-key',
+          name: label(newElement),
+          before: oldElement?.key || null,
+          location,
+          severity: 'medium'
+        }));
+      } else if (newElement.list && oldElement?.list && oldElement.key !== null && oldElement.key !== newElement.key) {
+        changes.push(createChange({
+          kind: 'modified',
+          entity: 'list-key',
+          name: label(newElement),
+          before: oldElement.key,
+          after: newElement.key,
+          location,
+          severity: 'low'
+        }));
+      }
+
+      if (oldElement) changes.push(...this.diffHandlers(oldElement, newElement, label(newElement), location));
+    });
+
+    return changes;
+  }
+
+  /**
+   * `on*` props of one element added, removed or pointed at different code
+   */
+  diffHandlers(oldElement, newElement, element, location) {
+    const changes = [];
+
+    Object.entries(newElement.handlers).forEach(([prop, handler]) => {
+      const before = oldElement.handlers[prop];
+      if (before && before.shape === handler.shape) return;
+      changes.push(createChange({
+        kind: before ? 'modified' : 'added',
+        entity: 'handler',
+        name: prop,
+        before: before ? { element, value: before.text } : null,
+        after: { element, value: handler.text },
+        location,
+        severity: 'low'
+      }));
+    });
+
+    Object.entries(oldElement.handlers).forEach(([prop, handler]) => {
+      if (newElement.handlers[prop]) return;
+      changes.push(createChange({
+        kind: 'removed',
+        entity: 'handler',
+        name: prop,
+        before: { element, value: handler.text },
+        location,
+        severity: 'medium'
+      }));
+    });
+
+    return changes;
+  }
+
+  /**
+   * The props contract, judged like parameters: a removed prop, a newly
+   * required one, a narrowed type or a changed or dropped default can break
+   * existing usages of the component
+   */
+  diffProps(oldProps, newProps) {
+    const changes = [];
+    const summary = (prop, extra = {}) => ({
+      type: prop.type,
+      required: prop.required,
+      hasDefault: prop.hasDefault,
+      defaultValue: prop.defaultValue,
+      ...extra
+    });
+
+    newProps.forEach(newProp => {
+      const oldProp = oldProps.find(p => p.name === newProp.name);
+      if (!oldProp) {
+        changes.push(createChange({
+          kind: 'added',
+          entity: 'prop',
+          name: newProp.name,
+          after: summary(newProp),
+          severity: newProp.required ? 'medium' : 'low',
+          breaking: newProp.required
+        }));
+        return;
       }
+
+      const typeChange = oldProp.type && newProp.type ? typeChangeOf(oldProp, newProp) : 'same';
+      const defaultChanged = oldProp.hasDefault && newProp.hasDefault && oldProp.defaultShape !== newProp.defaultShape;
+      if (typeChange === 'same' &&
+          oldProp.required === newProp.required &&
+          oldProp.hasDefault === newProp.hasDefault &&
+          !defaultChanged) {
+        return;
+      }
+
+      const breaking = typeChange === 'narrowed' || typeChange === 'changed' ||
+        (newProp.required && !oldProp.required) ||
+        (oldProp.hasDefault && !newProp.hasDefault) ||
+        defaultChanged;
+      changes.push(createChange({
+        kind: 'modified',
+        entity: 'prop',
+        name: newProp.name,
+        before: summary(oldProp),
+        after: summary(newProp, { typeChange }),
+        severity: breaking ? 'medium' : 'low',
+        breaking
+      }));
+    });
+
+    oldProps.forEach(oldProp => {
+      if (newProps.some(p => p.name === oldProp.name)) return;
+      changes.push(createChange({
+        kind: 'removed',
+        entity: 'prop',
+        name: oldProp.name,
+        before: summary(oldProp),
+        severity: 'medium',
+        breaking: true
+      }));
     });
 
     return changes;
@@ -759,23 +3469,363 @@ class ASTParser {
   /**
    * SEMANTIC DIFF: React Hooks
    */
-  diffHooks(oldHooks, newHooks) {
+  diffHooks(oldHooks, newHooks, mapOwner = owner => owner) {
+    const changes = [];
+    // Hooks of a renamed function are compared with those it had under its old name
+    oldHooks = oldHooks.map(hook => ({ ...hook, owner: mapOwner(hook.owner) }));
+    const owners = [...new Set([...oldHooks, ...newHooks].map(h => h.owner))];
+
+    owners.forEach(owner => {
+      const oldOwn = oldHooks.filter(h => h.owner === owner);
+      const newOwn = newHooks.filter(h => h.owner === owner);
+      const children = [];
+
+      [...new Set([...oldOwn, ...newOwn].map(h => h.name))].forEach(name => {
+        const olds = oldOwn.filter(h => h.name === name);
+        const news = newOwn.filter(h => h.name === name);
+        // `useEffect#2` when the owner calls the hook more than once
+        const label = (list, hook) =>
+          (olds.length > 1 || news.length > 1 ? `${name}#${list.indexOf(hook) + 1}` : name);
+        const pairs = this.pairHooks(olds, news);
+
+        news.forEach(newHook => {
+          const pair = pairs.find(p => p.newHook === newHook);
+          if (pair) {
+            children.push(...this.compareHooks(pair.oldHook, newHook, label(news, newHook)));
+            return;
+          }
+          children.push(createChange({
+            kind: 'added',
+            entity: 'hook',
+            name: label(news, newHook),
+            after: { custom: newHook.custom, deps: newHook.deps },
+            location: locate(null, newHook),
+            severity: 'low'
+          }));
+        });
+
+        olds.filter(h => !pairs.some(p => p.oldHook === h)).forEach(oldHook => {
+          children.push(createChange({
+            kind: 'removed',
+            entity: 'hook',
+            name: label(olds, oldHook),
+            before: { custom: oldHook.custom, deps: oldHook.deps },
+            location: locate(oldHook, null),
+            severity: 'low'
+          }));
+        });
+      });
+
+      if (children.length > 0) {
+        changes.push(createChange({
+          kind: 'modified',
+          entity: 'hooks',
+          name: owner || '(module)',
+          severity: maxSeverity(children),
+          children
+        }));
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Rules-of-Hooks and stale-closure warnings for the function components
+   * the diff touched, read from the new AST. Issues the old version of a
+   * component already had are not reported again.
+   */
+  detectHookIssues(oldStructure, newStructure, affectedRanges) {
+    // Removed lines are numbered in the old file, added lines in the new one
+    const touched = (component, side) => component && affectedRanges.some(range =>
+      (range.type === 'removed' ? 'old' : 'new') === side &&
+      range.start <= component.loc.end.line && range.end >= component.loc.start.line);
     const changes = [];
-    const hookTypes = ['useState', 'useEffect', 'useContext', 'useReducer', 'useCallback', 'useMemo'];
 
-    hookTypes.forEach(hookType => {
-      const oldCount = oldHooks.filter(h => h.name === hookType).length;
-      const newCount = newHooks.filter(h => h.name === hookType).length;
+    newStructure.components.filter(c => c.kind === 'function').forEach(component => {
+      const oldComp = oldStructure.components.find(c => c.kind === 'function' && c.name === component.name);
+      if (!touched(component, 'new') && !touched(oldComp, 'old')) return;
+
+      const known = oldComp ? this.findHookIssues(oldComp) : [];
+      this.findHookIssues(component).forEach(issue => {
+        if (issue.entity === 'hook-rule') {
+          const index = known.findIndex(k => k.entity === issue.entity && k.name === issue.name &&
+            k.after.context === issue.after.context);
+          if (index === -1) changes.push(issue);
+          else known.splice(index, 1);
+          return;
+        }
+
+        const before = known.find(k => k.entity === issue.entity && k.name === issue.name);
+        const missing = issue.after.missing.filter(name => !before?.after.missing.includes(name));
+        if (missing.length > 0) changes.push({ ...issue, after: { ...issue.after, missing } });
+      });
+    });
+
+    return changes;
+  }
+
+  /**
+   * Hook calls in a condition, loop, nested function or after an early
+   * return, and dependency-array hooks whose callback reads state it does
+   * not list (and so sees the value from the render that created it)
+   */
+  findHookIssues(component) {
+    const issues = findHookViolations(component.body).map(violation => createChange({
+      kind: 'warning',
+      entity: 'hook-rule',
+      name: violation.name,
+      after: { component: component.name, context: violation.context },
+      location: locate(null, violation),
+      severity: 'medium'
+    }));
+
+    const state = stateVariables(component.body);
+    const calls = ownHookCalls(component.body);
+    calls.forEach(({ name, call }) => {
+      const deps = dependencyList(call, name);
+      if (!deps || deps.some(d => d.startsWith('…'))) return;
+
+      const callback = hookCallback(call, name);
+      const read = callback ? this.referencedNames(callback) : new Set();
+      const missing = state.filter(variable => read.has(variable) &&
+        !deps.some(d => d === variable || d.startsWith(`${variable}.`) || d.startsWith(`${variable}?.`)));
+      if (missing.length === 0) return;
+
+      // Same `useEffect#2` labels as diffHooks
+      const sameName = calls.filter(c => c.name === name);
+      const label = sameName.length > 1 ? `${name}#${sameName.findIndex(c => c.call === call) + 1}` : name;
+      issues.push(createChange({
+        kind: 'warning',
+        entity: 'hook-dependency',
+        name: label,
+        after: { component: component.name, missing },
+        location: locate(null, call),
+        severity: 'medium'
+      }));
+    });
+
+    return issues;
+  }
 
-      if (newCount > oldCount) {
-        changes.push(`Added ${newCount - oldCount} ${hookType} call(s)`);
-      } else if (oldCount > newCount) {
-        changes.push(`Removed ${oldCount - newCount} ${hookType} call(s)`);
+  /**
+   * Names an expression reads
+   */
+  referencedNames(node) {
+    const names = new Set();
+    walk(node, (child, parent) => {
+      if (child.type === 'Identifier' && this.isReference(child, parent)) names.add(child.name);
+    });
+    return names;
+  }
+
+  /**
+   * Pair calls of one hook within an owner: unchanged calls first, then the
+   * rest in order of appearance
+   */
+  pairHooks(oldHooks, newHooks) {
+    const pairs = [];
+    const usedOld = new Set();
+
+    newHooks.forEach(newHook => {
+      const same = oldHooks.find(h => !usedOld.has(h) && h.shape === newHook.shape);
+      if (same) {
+        usedOld.add(same);
+        pairs.push({ oldHook: same, newHook });
       }
     });
 
+    const restOld = oldHooks.filter(h => !usedOld.has(h));
+    newHooks.filter(h => !pairs.some(p => p.newHook === h)).forEach((newHook, i) => {
+      if (restOld[i]) pairs.push({ oldHook: restOld[i], newHook });
+    });
+
+    return pairs;
+  }
+
+  /**
+   * Dependency array and effect cleanup changes of one hook call. Dropping
+   * a dependency (or the whole array) or a cleanup changes when code runs or
+   * what it leaves behind, and is reported above adding them.
+   */
+  compareHooks(oldHook, newHook, label) {
+    const changes = [];
+
+    if (oldHook.deps !== undefined && newHook.deps !== undefined) {
+      const before = oldHook.deps;
+      const after = newHook.deps;
+      const added = after && before ? after.filter(d => !before.includes(d)) : [];
+      const removed = after && before ? before.filter(d => !after.includes(d)) : [];
+
+      if ((before === null) !== (after === null) || added.length > 0 || removed.length > 0) {
+        changes.push(createChange({
+          kind: 'modified',
+          entity: 'dependencies',
+          name: label,
+          before,
+          after,
+          location: locate(oldHook, newHook),
+          severity: after === null || removed.length > 0 ? 'medium' : 'low'
+        }));
+      }
+    }
+
+    if (oldHook.cleanup !== undefined && newHook.cleanup !== undefined && oldHook.cleanup !== newHook.cleanup) {
+      changes.push(createChange({
+        kind: newHook.cleanup ? 'added' : 'removed',
+        entity: 'cleanup',
+        name: label,
+        location: locate(oldHook, newHook),
+        severity: newHook.cleanup ? 'low' : 'medium'
+      }));
+    }
+
     return changes;
   }
 }
 
+/**
+ * Import declarations grouped by source, in order of appearance
+ */
+function importsBySource(imports) {
+  const groups = new Map();
+  imports.forEach(imp => {
+    if (!groups.has(imp.source)) groups.set(imp.source, []);
+    groups.get(imp.source).push(imp);
+  });
+  return groups;
+}
+
+/**
+ * Sources imported by more than one declaration of the same syntax
+ * (`import type` alongside a value import is not a duplicate), and names
+ * imported more than once from the same source. Keyed by `source` or
+ * `source:imported`, each with the number of times and the last occurrence.
+ */
+function duplicateImports(imports) {
+  const counts = new Map();
+  const count = (key, entry) => {
+    const existing = counts.get(key);
+    counts.set(key, { ...entry, count: existing ? existing.count + 1 : 1 });
+  };
+
+  imports.forEach(imp => {
+    count(`${imp.source}|${imp.syntax}|${imp.typeOnly ? 'type' : 'value'}`, { source: imp.source, imported: null, node: imp });
+    imp.specifiers.forEach(spec => {
+      count(`${imp.source}|${spec.imported}`, { source: imp.source, imported: spec.imported, node: spec });
+    });
+  });
+
+  return new Map([...counts].filter(([, entry]) => entry.count > 1));
+}
+
+/**
+ * The parts of an import specifier that records compare
+ */
+function specifierSummary(spec) {
+  return { imported: spec.imported, local: spec.local, typeOnly: spec.typeOnly };
+}
+
+/**
+ * `{ id, options: { retry = 3 }, ...rest }` / `[first, second]` for a destructuring pattern
+ */
+function patternToString(pattern) {
+  const parts = pattern.keys.map(k => {
+    const nested = k.pattern ? patternToString(k.pattern) : null;
+    const fallback = k.hasDefault ? ` = ${k.defaultValue}` : '';
+    if (pattern.kind === 'array') return `${nested || k.local || '?'}${fallback}`;
+    if (nested) return `${k.key}: ${nested}${fallback}`;
+    return `${k.local && k.local !== k.key ? `${k.key}: ${k.local}` : k.key}${fallback}`;
+  });
+  if (pattern.rest) parts.push(`...${pattern.rest}`);
+  return pattern.kind === 'array' ? `[${parts.join(', ')}]` : `{ ${parts.join(', ')} }`;
+}
+
+/**
+ * `inner` for `outer > inner`
+ */
+function localName(func) {
+  return func.name.split(' > ').pop();
+}
+
+// Anonymous functions passed from these nodes are named `callback#N`
+const CALLBACK_PARENTS = ['CallExpression', 'OptionalCallExpression', 'NewExpression', 'JSXExpressionContainer'];
+
+function isFunctionExpression(node) {
+  return node?.type === 'ArrowFunctionExpression' || node?.type === 'FunctionExpression';
+}
+
+/**
+ * `map` for `items.map(...)`, `useEffect` for `useEffect(...)`
+ */
+function calleeLabel(callee) {
+  if (callee.type === 'Identifier') return callee.name;
+  if ((callee.type === 'MemberExpression' || callee.type === 'OptionalMemberExpression') && !callee.computed) {
+    return callee.property.name;
+  }
+  return 'call';
+}
+
+// Least to most accessible
+const VISIBILITY_ORDER = ['#private', 'private', 'protected', 'public'];
+
+/**
+ * Record entity for a class member
+ */
+function classMemberEntity(member) {
+  if (member.kind === 'field') return 'field';
+  if (member.kind === 'static-block') return 'static-block';
+  return 'method';
+}
+
+/**
+ * Whether code outside the class (callers or subclasses) can use a member
+ */
+function isReachableMember(member) {
+  return member.visibility === 'public' || member.visibility === 'protected';
+}
+
+const SEVERITY_ORDER = ['info', 'low', 'medium', 'high'];
+
+// Records about a component's props parameter that the props diff reports instead
+const PROPS_PARAMETER_ENTITIES = ['parameter', 'destructuring', 'default-value'];
+
+/**
+ * Owner name in the new version for an owner in the old one, following the
+ * renamed functions and components among changes (`Card > load` → `Tile > load`)
+ */
+function renamedOwners(changes) {
+  const renames = new Map(changes
+    .filter(c => c.kind === 'renamed' && (c.entity === 'function' || c.entity === 'component'))
+    .map(c => [c.before.name, c.name]));
+
+  return owner => {
+    if (!owner) return owner;
+    const parts = owner.split(' > ');
+    for (let i = parts.length; i > 0; i--) {
+      const scope = parts.slice(0, i).join(' > ');
+      if (renames.has(scope)) return [renames.get(scope), ...parts.slice(i)].join(' > ');
+    }
+    return owner;
+  };
+}
+
+/**
+ * compareTypes() for two records with a `union`; records without one
+ * (method signatures, PropTypes validators) compare by their type text
+ */
+function typeChangeOf(oldEntry, newEntry) {
+  if (oldEntry.union && newEntry.union) return compareTypes(oldEntry.union, newEntry.union);
+  return oldEntry.type === newEntry.type ? 'same' : 'changed';
+}
+
+/**
+ * Highest severity among a set of child records
+ */
+function maxSeverity(changes) {
+  return changes.reduce((max, c) =>
+    SEVERITY_ORDER.indexOf(c.severity) > SEVERITY_ORDER.indexOf(max) ? c.severity : max
+  , 'info');
+}
+
 module.exports = { ASTParser };
\ No newline at end of file
@@ -0,0 +1,432 @@
+// src/parser/astShape.js - Formatting-independent fingerprints of AST subtrees
+const crypto = require('crypto');
+
+// Identifier names and literal values: two bodies doing different things
+// mostly differ here, so they outweigh node types in bodySimilarity()
+const VALUE_KEYS = new Set(['name', 'value']);
+const NAME_WEIGHT = 3;
+
+// Keys that only describe where or how the code was written
+const LAYOUT_KEYS = new Set([
+  'loc', 'start', 'end', 'range', 'extra', 'raw',
+  'leadingComments', 'trailingComments', 'innerComments', 'comments', 'tokens'
+]);
+
+/**
+ * Nested functions are tracked as functions of their own, so a parent's
+ * fingerprint only records that they exist, not what they contain.
+ * An IIFE (a function in `callee` position) is not tracked and stays inline.
+ */
+function nestedFunctionName(node, key) {
+  if (node.type === 'FunctionDeclaration') return node.id?.name || 'anonymous';
+  if (node.type === 'VariableDeclarator' &&
+      (node.init?.type === 'ArrowFunctionExpression' || node.init?.type === 'FunctionExpression')) {
+    return node.id?.name || 'anonymous';
+  }
+  if ((node.type === 'ArrowFunctionExpression' || node.type === 'FunctionExpression') && key !== 'callee') {
+    return node.id?.name || 'anonymous';
+  }
+  if (node.type === 'ObjectMethod' && node.kind === 'method' && !node.computed) return node.key.name || 'method';
+  return null;
+}
+
+/**
+ * Serialize a subtree twice: `shape` keeps node types and significant values
+ * only, `layout` adds positions (relative to the root) and comments.
+ * Equal shapes with different layouts mean the change is formatting only.
+ * With nestedNames false, nested functions are recorded without their names.
+ */
+function fingerprint(root, { nestedNames = true } = {}) {
+  const { shape, layout } = serialize(root, nestedNames);
+  return { shape: hash(shape.join(' ')), layout: hash(layout.join(' ')) };
+}
+
+/**
+ * Token lists behind fingerprint(); `tokens` (node types and values only,
+ * each { text, weight }) feeds bodySimilarity()
+ */
+function serialize(root, nestedNames = true) {
+  const shape = [];
+  const layout = [];
+  const tokens = [];
+  const baseLine = root?.loc ? root.loc.start.line : 0;
+  const baseColumn = root?.loc ? root.loc.start.column : 0;
+
+  // Positions after a nested function are counted from where it ends, so
+  // editing its (separately tracked) body does not move the code around it
+  const nestedSpans = collectNestedSpans(root);
+  const position = ({ line, column }) => {
+    let lines = line - baseLine;
+    let from = line === baseLine ? baseColumn : 0;
+    nestedSpans.forEach(({ start, end }) => {
+      if (end.line > line || (end.line === line && end.column > column)) return;
+      lines -= end.line - start.line;
+      if (end.line === line) from = Math.max(from, end.column);
+    });
+    return `@${lines}:${column - from}`;
+  };
+
+  const visit = (node, isRoot, key = null) => {
+    if (node === null || typeof node !== 'object') {
+      shape.push(JSON.stringify(node));
+      layout.push(JSON.stringify(node));
+      // Flags (`computed: false`, ...) say little about what the code does
+      if (node !== null && node !== undefined && typeof node !== 'boolean') {
+        tokens.push({ text: JSON.stringify(node), weight: VALUE_KEYS.has(key) ? NAME_WEIGHT : 1 });
+      }
+      return;
+    }
+
+    if (Array.isArray(node)) {
+      shape.push('[');
+      layout.push('[');
+      node.forEach(child => visit(child, false, key));
+      shape.push(']');
+      layout.push(']');
+      return;
+    }
+
+    if (node.loc) {
+      // Columns on the root's first line move with the code before it (e.g. a renamed function)
+      layout.push(position(node.loc.start));
+    }
+    ['leadingComments', 'innerComments', 'trailingComments'].forEach(key => {
+      (node[key] || []).forEach(comment => layout.push(`//${comment.value.trim()}`));
+    });
+
+    const nested = isRoot ? null : nestedFunctionName(node, key);
+    if (nested) {
+      const text = nestedNames ? `Function:${nested}` : 'Function';
+      shape.push(text);
+      layout.push(text);
+      tokens.push({ text, weight: NAME_WEIGHT });
+      return;
+    }
+
+    shape.push(`(${node.type || ''}`);
+    layout.push(`(${node.type || ''}`);
+    tokens.push({ text: node.type || '', weight: 1 });
+    Object.keys(node).sort().forEach(childKey => {
+      if (childKey === 'type' || LAYOUT_KEYS.has(childKey)) return;
+      shape.push(childKey);
+      layout.push(childKey);
+      visit(node[childKey], false, childKey);
+    });
+    shape.push(')');
+    layout.push(')');
+  };
+
+  visit(root, true);
+  return { shape, layout, tokens };
+}
+
+/**
+ * Source spans of the nested functions serialize() collapses
+ */
+function collectNestedSpans(root) {
+  const spans = [];
+  const visit = (node, isRoot, key = null) => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+      node.forEach(child => visit(child, false, key));
+      return;
+    }
+    if (!isRoot && nestedFunctionName(node, key)) {
+      if (node.loc) spans.push(node.loc);
+      return;
+    }
+    Object.keys(node).forEach(childKey => {
+      if (childKey !== 'type' && !LAYOUT_KEYS.has(childKey)) visit(node[childKey], false, childKey);
+    });
+  };
+  visit(root, true);
+  return spans;
+}
+
+function hash(text) {
+  return crypto.createHash('sha1').update(text).digest('hex').slice(0, 12);
+}
+
+/**
+ * Top-level statements of a function body with their shape hashes.
+ * Expression-bodied arrows count as a single statement.
+ */
+function statementShapes(body) {
+  if (!body) return [];
+  const statements = body.type === 'BlockStatement' || body.type === 'StaticBlock' ? body.body : [body];
+
+  return statements.map(statement => {
+    // A nested function declaration counts as unchanged when only its body changed
+    const nested = nestedFunctionName(statement);
+    return {
+      shape: nested ? `Function:${nested}` : fingerprint(statement).shape,
+      text: describeStatement(statement)
+    };
+  });
+}
+
+/**
+ * Compare two function bodies: 'identical', 'formatting' (same shape,
+ * different layout or comments), 'nested' (only nested functions were
+ * renamed, e.g. an anonymous callback became a named one) or 'changed',
+ * plus the top-level statements that were added or removed
+ */
+function compareBodies(oldBody, newBody) {
+  const oldPrint = fingerprint(oldBody);
+  const newPrint = fingerprint(newBody);
+
+  if (oldPrint.shape === newPrint.shape) {
+    return {
+      status: oldPrint.layout === newPrint.layout ? 'identical' : 'formatting',
+      added: [],
+      removed: []
+    };
+  }
+
+  // Nested functions are tracked, and their changes reported, on their own
+  const unnamed = body => fingerprint(body, { nestedNames: false }).shape;
+  if (unnamed(oldBody) === unnamed(newBody)) {
+    return { status: 'nested', added: [], removed: [] };
+  }
+
+  // Multiset difference, so a duplicated statement still counts once per copy
+  const oldStatements = statementShapes(oldBody);
+  const remaining = [...oldStatements];
+  const added = [];
+
+  statementShapes(newBody).forEach(statement => {
+    const index = remaining.findIndex(s => s.shape === statement.shape);
+    if (index === -1) {
+      added.push(statement.text);
+    } else {
+      remaining.splice(index, 1);
+    }
+  });
+
+  return {
+    status: 'changed',
+    added,
+    removed: remaining.map(s => s.text)
+  };
+}
+
+// Bodies lighter than this (e.g. `return db.users.find(id)`) look alike by accident
+const MIN_MATCH_WEIGHT = 32;
+const MIN_SIMILARITY = 60;
+// Pairs per function that get the full comparison, the likeliest first
+const MAX_CANDIDATES = 5;
+
+// body node → { tokens, weight, counts, shape }, computed once per body
+const profiles = new WeakMap();
+
+/**
+ * What bodySimilarity() needs to know about a body: its weighted tokens,
+ * their total weight, their weight per distinct text and its shape hash
+ */
+function bodyProfile(body) {
+  if (body && profiles.has(body)) return profiles.get(body);
+
+  const { shape, tokens } = serialize(body);
+  const counts = new Map(); // token text → { count, weight } (its heaviest weight, to stay an upper bound)
+  tokens.forEach(({ text, weight }) => {
+    const entry = counts.get(text) || { count: 0, weight };
+    entry.count++;
+    entry.weight = Math.max(entry.weight, weight);
+    counts.set(text, entry);
+  });
+  const profile = { tokens, weight: totalWeight(tokens), counts, shape: hash(shape.join(' ')) };
+
+  if (body) profiles.set(body, profile);
+  return profile;
+}
+
+/**
+ * Similarity of two function bodies in percent: Dice coefficient over the
+ * longest common subsequence of their tokens, weighted so that names and
+ * literals count more than node types; 100 when their shapes are equal
+ */
+function bodySimilarity(oldBody, newBody) {
+  const oldProfile = bodyProfile(oldBody);
+  const newProfile = bodyProfile(newBody);
+  if (upperBound(oldProfile, newProfile) < MIN_SIMILARITY) return 0;
+  return similarity(oldProfile, newProfile);
+}
+
+/**
+ * Score no pair of these bodies can beat: the common subsequence cannot
+ * outweigh the lighter body, nor the tokens both share
+ */
+function upperBound(oldProfile, newProfile) {
+  if (oldProfile.weight < MIN_MATCH_WEIGHT || newProfile.weight < MIN_MATCH_WEIGHT) return 0;
+  if (oldProfile.shape === newProfile.shape) return 100;
+  if (score(oldProfile, newProfile, Math.min(oldProfile.weight, newProfile.weight)) < MIN_SIMILARITY) return 0;
+  return score(oldProfile, newProfile, sharedWeight(oldProfile.counts, newProfile.counts));
+}
+
+function similarity(oldProfile, newProfile) {
+  if (oldProfile.shape === newProfile.shape) return 100;
+  return score(oldProfile, newProfile, commonSubsequenceWeight(oldProfile.tokens, newProfile.tokens));
+}
+
+function score(oldProfile, newProfile, common) {
+  return Math.floor((200 * common) / (oldProfile.weight + newProfile.weight));
+}
+
+function totalWeight(tokens) {
+  return tokens.reduce((sum, token) => sum + token.weight, 0);
+}
+
+/**
+ * Weight of the tokens both bodies contain, ignoring order
+ */
+function sharedWeight(oldCounts, newCounts) {
+  const [fewer, more] = oldCounts.size <= newCounts.size ? [oldCounts, newCounts] : [newCounts, oldCounts];
+  let shared = 0;
+  fewer.forEach(({ count, weight }, text) => {
+    const other = more.get(text);
+    if (other) shared += Math.min(count, other.count) * Math.max(weight, other.weight);
+  });
+  return shared;
+}
+
+/**
+ * Weight of the heaviest common subsequence, one row at a time
+ */
+function commonSubsequenceWeight(oldTokens, newTokens) {
+  let previous = new Float64Array(newTokens.length + 1);
+  let current = new Float64Array(newTokens.length + 1);
+
+  oldTokens.forEach(oldToken => {
+    for (let j = 1; j <= newTokens.length; j++) {
+      current[j] = oldToken.text === newTokens[j - 1].text
+        ? previous[j - 1] + oldToken.weight
+        : Math.max(previous[j], current[j - 1]);
+    }
+    [previous, current] = [current, previous];
+  });
+
+  return previous[newTokens.length];
+}
+
+/**
+ * Pair removed functions with added ones by body similarity, best pairs
+ * first, each function used at most once. canPair can veto a pairing.
+ * Functions with identical bodies pair up without a full comparison; the
+ * others are compared only with their MAX_CANDIDATES likeliest partners.
+ * Returns [{ oldFunc, newFunc, similarity }].
+ */
+function matchFunctions(oldFuncs, newFuncs, canPair = () => true) {
+  const profileOf = new Map([...oldFuncs, ...newFuncs].map(func => [func, bodyProfile(func.body)]));
+  const usedOld = new Set();
+  const usedNew = new Set();
+  const matches = [];
+  const take = (oldFunc, newFunc, similarity) => {
+    usedOld.add(oldFunc);
+    usedNew.add(newFunc);
+    matches.push({ oldFunc, newFunc, similarity });
+  };
+
+  // Identical bodies, found by shape hash
+  const newByShape = new Map();
+  newFuncs.forEach(newFunc => {
+    const { shape, weight } = profileOf.get(newFunc);
+    if (weight < MIN_MATCH_WEIGHT) return;
+    if (!newByShape.has(shape)) newByShape.set(shape, []);
+    newByShape.get(shape).push(newFunc);
+  });
+  oldFuncs.forEach(oldFunc => {
+    const { shape, weight } = profileOf.get(oldFunc);
+    if (weight < MIN_MATCH_WEIGHT) return;
+    const newFunc = (newByShape.get(shape) || []).find(f => !usedNew.has(f) && canPair(oldFunc, f));
+    if (newFunc) take(oldFunc, newFunc, 100);
+  });
+
+  // The rest: cheap bounds first, the full comparison for the likeliest pairs only
+  const bounded = [];
+  oldFuncs.filter(f => !usedOld.has(f)).forEach(oldFunc => {
+    newFuncs.filter(f => !usedNew.has(f)).forEach(newFunc => {
+      const bound = upperBound(profileOf.get(oldFunc), profileOf.get(newFunc));
+      if (bound >= MIN_SIMILARITY && canPair(oldFunc, newFunc)) bounded.push({ oldFunc, newFunc, bound });
+    });
+  });
+  bounded.sort((a, b) => b.bound - a.bound);
+
+  const tried = new Map(); // function → pairs compared so far
+  const candidates = [];
+  bounded.forEach(({ oldFunc, newFunc }) => {
+    if ((tried.get(oldFunc) || 0) >= MAX_CANDIDATES || (tried.get(newFunc) || 0) >= MAX_CANDIDATES) return;
+    tried.set(oldFunc, (tried.get(oldFunc) || 0) + 1);
+    tried.set(newFunc, (tried.get(newFunc) || 0) + 1);
+    const percent = similarity(profileOf.get(oldFunc), profileOf.get(newFunc));
+    if (percent >= MIN_SIMILARITY) candidates.push({ oldFunc, newFunc, percent });
+  });
+
+  candidates.sort((a, b) => b.percent - a.percent);
+  candidates.forEach(({ oldFunc, newFunc, percent }) => {
+    if (!usedOld.has(oldFunc) && !usedNew.has(newFunc)) take(oldFunc, newFunc, percent);
+  });
+  return matches;
+}
+
+/**
+ * Short label for a statement: `const total`, `if`, `logger.log()`, `return`
+ */
+function describeStatement(node) {
+  switch (node.type) {
+    case 'VariableDeclaration':
+      return `${node.kind} ${node.declarations.map(d => d.id?.name || 'pattern').join(', ')}`;
+    case 'FunctionDeclaration':
+      return `function ${node.id?.name || 'anonymous'}`;
+    case 'ExpressionStatement':
+      return describeExpression(node.expression);
+    case 'ReturnStatement':
+      return 'return';
+    case 'IfStatement':
+      return 'if';
+    case 'SwitchStatement':
+      return 'switch';
+    case 'TryStatement':
+      return 'try';
+    case 'ThrowStatement':
+      return 'throw';
+    case 'ForStatement':
+    case 'ForInStatement':
+    case 'ForOfStatement':
+    case 'WhileStatement':
+    case 'DoWhileStatement':
+      return 'loop';
+    default:
+      return node.type.includes('Statement') || node.type.includes('Declaration')
+        ? node.type
+        : describeExpression(node);
+  }
+}
+
+function describeExpression(node) {
+  if (!node) return 'expression';
+  if (node.type === 'AwaitExpression') return `await ${describeExpression(node.argument)}`;
+  if (node.type === 'CallExpression') return `${calleeName(node.callee)}()`;
+  if (node.type === 'AssignmentExpression') return `${calleeName(node.left)} ${node.operator}`;
+  if (node.type === 'UpdateExpression') return `${calleeName(node.argument)}${node.operator}`;
+  return 'expression';
+}
+
+function calleeName(node) {
+  if (!node) return '?';
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'ThisExpression') return 'this';
+  if (node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression') {
+    const property = node.computed ? '[]' : node.property.name;
+    return `${calleeName(node.object)}.${property}`;
+  }
+  if (node.type === 'CallExpression') return `${calleeName(node.callee)}()`;
+  return '?';
+}
+
+module.exports = {
+  fingerprint,
+  statementShapes,
+  compareBodies,
+  bodySimilarity,
+  matchFunctions
+};
@@ -3,33 +3,34 @@
 const postcss = require('postcss');
 const postcssScss = require('postcss-scss');
 const postcssNested = require('postcss-nested');
+const { silentLogger } = require('../utils');
 
 /**
  * Main CSS parser with AST-first approach
  */
-async function parseCSS(diff, filepath) {
+async function parseCSS(diff, filepath, logger = silentLogger) {
   try {
-    console.log(`[CSS-AST] Parsing ${filepath} with PostCSS...`);
+    logger.log(`[CSS-AST] Parsing ${filepath} with PostCSS...`);
     
-    const changes = await parseCSSWithAST(diff, filepath);
+    const changes = await parseCSSWithAST(diff, filepath, logger);
     
     if (changes.length > 0) {
-      console.log(`[CSS-AST] ✓ Success: ${filepath}`);
+      logger.log(`[CSS-AST] ✓ Success: ${filepath}`);
       return changes;
     }
     
     throw new Error('No changes detected by AST');
     
   } catch (astError) {
-    console.warn(`[CSS-AST] ✗ Failed: ${filepath} - ${astError.message}`);
-    console.log(`[CSS-FALLBACK] Trying regex parser for ${filepath}...`);
+    logger.warn(`[CSS-AST] ✗ Failed: ${filepath} - ${astError.message}`);
+    logger.log(`[CSS-FALLBACK] Trying regex parser for ${filepath}...`);
     
     try {
       const changes = parseCSSWithRegex(diff, filepath);
-      console.log(`[CSS-FALLBACK] ✓ Success: ${filepath}`);
+      logger.log(`[CSS-FALLBACK] ✓ Success: ${filepath}`);
       return changes;
     } catch (regexError) {
-      console.warn(`[CSS-FALLBACK] ✗ Failed: ${filepath}`);
+      logger.warn(`[CSS-FALLBACK] ✗ Failed: ${filepath}`);
       return ['Component visual changes detected'];
     }
   }
@@ -38,7 +39,7 @@ async function parseCSS(diff, filepath) {
 /**
  * PostCSS AST-based parser
  */
-async function parseCSSWithAST(diff, filepath) {
+async function parseCSSWithAST(diff, filepath, logger) {
   const changes = [];
   const lines = diff.split('\n');
   
@@ -71,7 +72,7 @@ async function parseCSSWithAST(diff, filepath) {
       }).root;
     }
   } catch (e) {
-    console.warn(`[CSS-AST] Warning: Could not parse added content`);
+    logger.warn(`[CSS-AST] Warning: Could not parse added content`);
   }
   
   try {
@@ -82,7 +83,7 @@ async function parseCSSWithAST(diff, filepath) {
       }).root;
     }
   } catch (e) {
-    console.warn(`[CSS-AST] Warning: Could not parse removed content`);
+    logger.warn(`[CSS-AST] Warning: Could not parse removed content`);
   }
   
   // 1. Analyze selectors
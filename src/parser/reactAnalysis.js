@@ -0,0 +1,517 @@
+// src/parser/reactAnalysis.js - React-specific reading of Babel ASTs (components, props, hooks, JSX)
+const { entityName } = require('./tsTypes');
+const { fingerprint } = require('./astShape');
+
+const FUNCTION_TYPES = ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression', 'ObjectMethod', 'ClassMethod'];
+
+// Higher-order components from React itself
+const WRAPPERS = ['memo', 'forwardRef'];
+
+const BUILTIN_HOOKS = [
+  'useState', 'useEffect', 'useContext', 'useReducer', 'useCallback', 'useMemo', 'useRef',
+  'useLayoutEffect', 'useInsertionEffect', 'useImperativeHandle', 'useDebugValue',
+  'useDeferredValue', 'useTransition', 'useId', 'useSyncExternalStore', 'useOptimistic', 'useActionState'
+];
+
+// Hooks taking a dependency array, by the argument position of the array
+const DEPENDENCY_HOOKS = {
+  useEffect: 1,
+  useLayoutEffect: 1,
+  useInsertionEffect: 1,
+  useMemo: 1,
+  useCallback: 1,
+  useImperativeHandle: 2
+};
+
+const EFFECT_HOOKS = ['useEffect', 'useLayoutEffect', 'useInsertionEffect'];
+
+// Array methods whose callback renders one element per item
+const LIST_METHODS = ['map', 'flatMap'];
+
+const LOOPS = ['ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement'];
+
+/**
+ * Depth-first walk. visit(node, parent) may return false to skip the
+ * node's children.
+ */
+function walk(node, visit, parent = null) {
+  if (!node || typeof node !== 'object') return;
+  if (Array.isArray(node)) {
+    node.forEach(child => walk(child, visit, parent));
+    return;
+  }
+  if (!node.type) return;
+  if (visit(node, parent) === false) return;
+
+  for (const key in node) {
+    if (key === 'loc' || key === 'range' || key === 'leadingComments' ||
+        key === 'trailingComments' || key === 'innerComments') continue;
+    if (node[key] && typeof node[key] === 'object') walk(node[key], visit, node);
+  }
+}
+
+function isFunctionNode(node) {
+  return FUNCTION_TYPES.includes(node?.type);
+}
+
+/**
+ * Components are capitalized by convention (and JSX requires it)
+ */
+function isComponentName(name) {
+  return /^[A-Z]/.test(name || '');
+}
+
+/**
+ * Whether an expression evaluates to JSX: an element or fragment, possibly
+ * behind `cond && <X/>`, `cond ? <A/> : <B/>` or parentheses
+ */
+function isJSXExpression(node) {
+  if (!node) return false;
+  switch (node.type) {
+    case 'JSXElement':
+    case 'JSXFragment':
+      return true;
+    case 'ParenthesizedExpression':
+      return isJSXExpression(node.expression);
+    case 'ConditionalExpression':
+      return isJSXExpression(node.consequent) || isJSXExpression(node.alternate);
+    case 'LogicalExpression':
+      return isJSXExpression(node.left) || isJSXExpression(node.right);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Whether a function returns JSX: an expression-bodied arrow, or a return
+ * statement of its own (not of a nested function)
+ */
+function returnsJSX(func) {
+  if (!func || !func.body) return false;
+  if (func.body.type !== 'BlockStatement') return isJSXExpression(func.body);
+
+  let found = false;
+  walk(func.body, node => {
+    if (found || isFunctionNode(node)) return false;
+    if (node.type === 'ReturnStatement' && isJSXExpression(node.argument)) found = true;
+    return undefined;
+  });
+  return found;
+}
+
+function wrapperName(call) {
+  return entityName(call.callee).replace(/^React\./, '');
+}
+
+/**
+ * The component function behind `memo(...)` / `forwardRef(...)` wrappers
+ * (also `React.memo`, and nested: `memo(forwardRef(...))`), with the wrapper
+ * names from the outside in, or null if node is not such a call.
+ * `target` is set instead of `func` when an existing component is wrapped
+ * (`memo(Button)`).
+ */
+function unwrapComponent(node) {
+  const wrappers = [];
+  let current = node;
+
+  while (current?.type === 'CallExpression' && WRAPPERS.includes(wrapperName(current))) {
+    wrappers.push(wrapperName(current));
+    current = current.arguments[0];
+  }
+
+  if (wrappers.length === 0) return null;
+  if (current?.type === 'ArrowFunctionExpression' || current?.type === 'FunctionExpression') {
+    return { func: current, wrappers };
+  }
+  if (current?.type === 'Identifier') return { target: current.name, wrappers };
+  return null;
+}
+
+/**
+ * Name of the hook a call invokes (`useAuth()`, `React.useEffect()`), or null.
+ * Hooks are recognized by the `use` + capital letter convention.
+ */
+function hookName(callee) {
+  const name = callee?.type === 'MemberExpression' && !callee.computed && callee.object.name === 'React'
+    ? callee.property.name
+    : callee?.name;
+  return /^use[A-Z0-9]/.test(name || '') ? name : null;
+}
+
+function isBuiltinHook(name) {
+  return BUILTIN_HOOKS.includes(name);
+}
+
+/**
+ * Dependency array of a hook call as source names (`['user.id', 'page']`),
+ * null when the array is omitted, undefined for hooks that take none.
+ * A non-literal array (`useEffect(fn, deps)`) is listed as `…deps`.
+ */
+function dependencyList(call, name) {
+  const position = DEPENDENCY_HOOKS[name];
+  if (position === undefined) return undefined;
+
+  const deps = call.arguments[position];
+  if (!deps) return null;
+  if (deps.type !== 'ArrayExpression') return [`…${dependencyName(deps)}`];
+  return deps.elements.map(dependencyName);
+}
+
+function dependencyName(node) {
+  switch (node?.type) {
+    case 'Identifier':
+      return node.name;
+    case 'ThisExpression':
+      return 'this';
+    case 'MemberExpression':
+    case 'OptionalMemberExpression':
+      if (node.computed) return `${dependencyName(node.object)}[…]`;
+      return `${dependencyName(node.object)}${node.optional ? '?.' : '.'}${node.property.name}`;
+    default:
+      return '…';
+  }
+}
+
+/**
+ * Whether an effect hook's callback returns a cleanup function: a block body
+ * returning a value, or an arrow whose expression body is itself a function.
+ * Undefined for other hooks.
+ */
+function hasCleanup(call, name) {
+  if (!EFFECT_HOOKS.includes(name)) return undefined;
+
+  const callback = call.arguments[0];
+  if (callback?.type !== 'ArrowFunctionExpression' && callback?.type !== 'FunctionExpression') return false;
+  if (callback.body.type !== 'BlockStatement') return isFunctionNode(callback.body);
+
+  let found = false;
+  walk(callback.body, node => {
+    if (found || isFunctionNode(node)) return false;
+    if (node.type === 'ReturnStatement' && node.argument) found = true;
+    return undefined;
+  });
+  return found;
+}
+
+/**
+ * The cleanup functions an effect hook's callback returns, [] for other hooks
+ */
+function cleanupFunctions(call, name) {
+  const callback = call.arguments[0];
+  if (!EFFECT_HOOKS.includes(name) || !isFunctionNode(callback)) return [];
+  if (callback.body.type !== 'BlockStatement') return isFunctionNode(callback.body) ? [callback.body] : [];
+
+  const cleanups = [];
+  walk(callback.body, node => {
+    if (isFunctionNode(node)) return false;
+    if (node.type === 'ReturnStatement' && isFunctionNode(node.argument)) cleanups.push(node.argument);
+    return undefined;
+  });
+  return cleanups;
+}
+
+/**
+ * The callback a dependency-array hook closes over (the function before
+ * the array), undefined for other hooks
+ */
+function hookCallback(call, name) {
+  const position = DEPENDENCY_HOOKS[name];
+  return position === undefined ? undefined : call.arguments[position - 1];
+}
+
+/**
+ * Hook calls made directly by a component or hook body, in order (not
+ * those in nested functions): [{ name, call }]
+ */
+function ownHookCalls(body) {
+  const calls = [];
+  walk(body, node => {
+    if (isFunctionNode(node)) return false;
+    const name = node.type === 'CallExpression' ? hookName(node.callee) : null;
+    if (name) calls.push({ name, call: node });
+    return undefined;
+  });
+  return calls;
+}
+
+/**
+ * State declared by a component body: `x` in `const [x, setX] = useState()`
+ * and `const [x, dispatch] = useReducer()`
+ */
+function stateVariables(body) {
+  const names = [];
+  walk(body, node => {
+    if (isFunctionNode(node)) return false;
+    if (node.type === 'VariableDeclarator' && node.id.type === 'ArrayPattern' &&
+        node.init?.type === 'CallExpression' && ['useState', 'useReducer'].includes(hookName(node.init.callee)) &&
+        node.id.elements[0]?.type === 'Identifier') {
+      names.push(node.id.elements[0].name);
+    }
+    return undefined;
+  });
+  return names;
+}
+
+/**
+ * Hook calls that break the Rules of Hooks in a component or hook body:
+ * [{ name, context, loc }] where context is 'inside a condition',
+ * 'inside a loop', 'inside a nested function' or 'after an early return'
+ */
+function findHookViolations(body) {
+  const violations = [];
+
+  const visit = (node, context) => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+      node.forEach(child => visit(child, context));
+      return;
+    }
+    if (!node.type) return;
+
+    const name = node.type === 'CallExpression' ? hookName(node.callee) : null;
+    if (name && context) violations.push({ name, context, loc: node.loc });
+
+    for (const key in node) {
+      if (key === 'loc' || key === 'range' || key === 'leadingComments' ||
+          key === 'trailingComments' || key === 'innerComments') continue;
+      if (node[key] && typeof node[key] === 'object') visit(node[key], childContext(node, key) || context);
+    }
+  };
+
+  if (body.type !== 'BlockStatement') {
+    visit(body, null);
+    return violations;
+  }
+
+  // Hooks after `if (...) return` only run on some renders
+  let context = null;
+  body.body.forEach(statement => {
+    visit(statement, context);
+    if (!context && statement.type !== 'ReturnStatement' && containsReturn(statement)) {
+      context = 'after an early return';
+    }
+  });
+  return violations;
+}
+
+/**
+ * Context a node imposes on its child under key, if any
+ */
+function childContext(node, key) {
+  if (isFunctionNode(node)) return key === 'body' ? 'inside a nested function' : null;
+  if (LOOPS.includes(node.type)) return key === 'body' || key === 'test' || key === 'update' ? 'inside a loop' : null;
+
+  switch (node.type) {
+    case 'IfStatement':
+    case 'ConditionalExpression':
+      return key === 'consequent' || key === 'alternate' ? 'inside a condition' : null;
+    case 'LogicalExpression':
+      return key === 'right' ? 'inside a condition' : null;
+    case 'SwitchStatement':
+      return key === 'cases' ? 'inside a condition' : null;
+    default:
+      return null;
+  }
+}
+
+function containsReturn(statement) {
+  let found = false;
+  walk(statement, node => {
+    if (found || isFunctionNode(node)) return false;
+    if (node.type === 'ReturnStatement') found = true;
+    return undefined;
+  });
+  return found;
+}
+
+/**
+ * JSX elements a component renders, in order: [{ name, path, ordinal,
+ * condition, list, key, handlers, loc }]. path is the chain of enclosing
+ * element names (`div > ul > li`), ordinal counts elements with the same
+ * path. condition is `&&` / `||` / `??` / 'ternary' for an element rendered
+ * only on one side of that expression, list is set for elements returned
+ * from a `.map()` callback, key is the `key` prop's source text (or null)
+ * and handlers maps `on*` props to { text, shape }.
+ */
+function renderElements(component) {
+  let body = component.body;
+  if (component.kind === 'class') {
+    body = body.body.find(member => member.type === 'ClassMethod' && member.key.name === 'render')?.body;
+  }
+  if (!body) return [];
+
+  const elements = [];
+  const ordinals = new Map();
+
+  const visit = (node, state) => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+      node.forEach(child => visit(child, state));
+      return;
+    }
+    if (!node.type) return;
+
+    switch (node.type) {
+      case 'JSXElement': {
+        const name = jsxName(node.openingElement.name);
+        const path = [...state.path, name].join(' > ');
+        const ordinal = (ordinals.get(path) || 0) + 1;
+        ordinals.set(path, ordinal);
+
+        const attributes = node.openingElement.attributes.filter(a => a.type === 'JSXAttribute');
+        const keyAttribute = attributes.find(a => a.name.name === 'key');
+        const handlers = {};
+        attributes.filter(a => /^on[A-Z]/.test(a.name.name || '')).forEach(attribute => {
+          handlers[attribute.name.name] = attributeValue(attribute.value);
+        });
+
+        elements.push({
+          name,
+          path,
+          ordinal,
+          condition: state.condition,
+          list: state.list,
+          key: keyAttribute ? attributeValue(keyAttribute.value).text : null,
+          handlers,
+          loc: node.loc
+        });
+
+        const inside = { path: [...state.path, name], condition: null, list: false };
+        attributes.forEach(attribute => visit(attribute.value, inside));
+        visit(node.children, inside);
+        return;
+      }
+
+      case 'JSXFragment':
+        visit(node.children, { ...state, condition: null, list: false });
+        return;
+
+      case 'LogicalExpression':
+        visit(node.left, state);
+        visit(node.right, { ...state, condition: node.operator });
+        return;
+
+      case 'ConditionalExpression':
+        visit(node.test, state);
+        visit(node.consequent, { ...state, condition: 'ternary' });
+        visit(node.alternate, { ...state, condition: 'ternary' });
+        return;
+
+      case 'CallExpression':
+        if (node.callee.type === 'MemberExpression' && !node.callee.computed &&
+            LIST_METHODS.includes(node.callee.property.name) && isFunctionNode(node.arguments[0])) {
+          visit(node.callee, state);
+          visit(node.arguments[0], { ...state, list: true });
+          visit(node.arguments.slice(1), state);
+          return;
+        }
+        break;
+    }
+
+    for (const key in node) {
+      if (key === 'loc' || key === 'range' || key === 'leadingComments' ||
+          key === 'trailingComments' || key === 'innerComments') continue;
+      if (node[key] && typeof node[key] === 'object') visit(node[key], state);
+    }
+  };
+
+  visit(body, { path: [], condition: null, list: false });
+  return elements;
+}
+
+function jsxName(name) {
+  switch (name.type) {
+    case 'JSXIdentifier':
+      return name.name;
+    case 'JSXMemberExpression':
+      return `${jsxName(name.object)}.${name.property.name}`;
+    case 'JSXNamespacedName':
+      return `${name.namespace.name}:${name.name.name}`;
+    default:
+      return '?';
+  }
+}
+
+/**
+ * Source text and shape of a JSX attribute value: `'x'`, `handleClick`,
+ * `item.id`, `(e) => …`, `save(…)`
+ */
+function attributeValue(value) {
+  const node = value?.type === 'JSXExpressionContainer' ? value.expression : value;
+  if (!node) return { text: 'true', shape: null };
+  return { text: expressionText(node), shape: fingerprint(node).shape };
+}
+
+function expressionText(node) {
+  switch (node.type) {
+    case 'StringLiteral':
+      return `'${node.value}'`;
+    case 'NumericLiteral':
+    case 'BooleanLiteral':
+      return String(node.value);
+    case 'TemplateLiteral':
+      return '`…`';
+    case 'ArrowFunctionExpression':
+    case 'FunctionExpression':
+      return `(${node.params.map(p => (p.type === 'Identifier' ? p.name : '…')).join(', ')}) => …`;
+    case 'CallExpression':
+      return `${dependencyName(node.callee)}(…)`;
+    default:
+      return dependencyName(node);
+  }
+}
+
+/**
+ * Type and requiredness declared by a propTypes validator:
+ * `PropTypes.string.isRequired` → { type: 'string', required: true },
+ * `PropTypes.oneOf([...])` → { type: 'oneOf(…)', required: false }
+ */
+function propTypeInfo(node) {
+  let validator = node;
+  let required = false;
+
+  if (validator.type === 'MemberExpression' && !validator.computed && validator.property.name === 'isRequired') {
+    required = true;
+    validator = validator.object;
+  }
+
+  let type;
+  if (validator.type === 'CallExpression') {
+    type = `${entityName(validator.callee)}(…)`;
+  } else {
+    type = entityName(validator);
+  }
+
+  return { type: type.replace(/^(React\.)?PropTypes\./, ''), required };
+}
+
+/**
+ * `props` object expressions: the given parameter name, or `this.props`
+ * when name is null (class components)
+ */
+function isPropsObject(node, name) {
+  if (name) return node?.type === 'Identifier' && node.name === name;
+  return node?.type === 'MemberExpression' && !node.computed &&
+    node.object.type === 'ThisExpression' && node.property.name === 'props';
+}
+
+module.exports = {
+  walk,
+  isFunctionNode,
+  isComponentName,
+  isJSXExpression,
+  returnsJSX,
+  unwrapComponent,
+  hookName,
+  isBuiltinHook,
+  dependencyList,
+  hasCleanup,
+  cleanupFunctions,
+  hookCallback,
+  ownHookCalls,
+  stateVariables,
+  findHookViolations,
+  renderElements,
+  propTypeInfo,
+  isPropsObject
+};
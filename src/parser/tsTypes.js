@@ -0,0 +1,300 @@
+// src/parser/tsTypes.js - Print and compare TypeScript type annotations (Babel AST)
+
+/**
+ * Source-like text for a type node: `string`, `User[]`, `'a' | 'b'`,
+ * `(id: string) => Promise<User>`, `{ id: number; name?: string }`
+ */
+function typeToString(node) {
+  if (!node) return null;
+  if (node.type === 'TSTypeAnnotation') return typeToString(node.typeAnnotation);
+
+  if (node.type.endsWith('Keyword')) {
+    return node.type.slice(2, -'Keyword'.length).toLowerCase();
+  }
+
+  switch (node.type) {
+    case 'TSTypeReference':
+      return entityName(node.typeName) + typeArguments(node.typeParameters || node.typeArguments);
+    case 'TSExpressionWithTypeArguments':
+    case 'TSInterfaceHeritage':
+      return entityName(node.expression) + typeArguments(node.typeParameters || node.typeArguments);
+    case 'TSUnionType':
+      return node.types.map(typeToString).join(' | ');
+    case 'TSIntersectionType':
+      return node.types.map(typeToString).join(' & ');
+    case 'TSLiteralType':
+      return literalToString(node.literal);
+    case 'TSArrayType':
+      return `${wrapComplex(node.elementType)}[]`;
+    case 'TSTupleType':
+      return `[${(node.elementTypes || []).map(typeToString).join(', ')}]`;
+    case 'TSNamedTupleMember':
+      return `${node.label.name}${node.optional ? '?' : ''}: ${typeToString(node.elementType)}`;
+    case 'TSOptionalType':
+      return `${typeToString(node.typeAnnotation)}?`;
+    case 'TSRestType':
+      return `...${typeToString(node.typeAnnotation)}`;
+    case 'TSParenthesizedType':
+      return `(${typeToString(node.typeAnnotation)})`;
+    case 'TSFunctionType':
+    case 'TSConstructorType':
+      return `${node.type === 'TSConstructorType' ? 'new ' : ''}${typeParameters(node.typeParameters)}` +
+        `(${paramsToString(node.parameters || node.params)}) => ` +
+        typeToString(node.typeAnnotation || node.returnType);
+    case 'TSTypeLiteral':
+      return `{ ${node.members.map(memberToString).join('; ')} }`;
+    case 'TSTypeOperator':
+      return `${node.operator} ${typeToString(node.typeAnnotation)}`;
+    case 'TSIndexedAccessType':
+      return `${typeToString(node.objectType)}[${typeToString(node.indexType)}]`;
+    case 'TSTypeQuery':
+      return `typeof ${entityName(node.exprName)}`;
+    case 'TSConditionalType':
+      return `${typeToString(node.checkType)} extends ${typeToString(node.extendsType)} ? ` +
+        `${typeToString(node.trueType)} : ${typeToString(node.falseType)}`;
+    case 'TSInferType':
+      return `infer ${node.typeParameter.name?.name || node.typeParameter.name}`;
+    case 'TSMappedType':
+      return '{ [mapped] }';
+    case 'TSTemplateLiteralType':
+      return 'template literal';
+    case 'TSThisType':
+      return 'this';
+    case 'TSTypePredicate':
+      return `${node.parameterName.name || 'this'} is ${typeToString(node.typeAnnotation)}`;
+    case 'TSImportType':
+      return `import('${node.argument.value || node.argument.literal?.value}')`;
+    default:
+      return node.type.replace(/^TS/, '');
+  }
+}
+
+/**
+ * `a.b.C` from Identifier / TSQualifiedName chains
+ */
+function entityName(node) {
+  if (!node) return '?';
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'TSQualifiedName') return `${entityName(node.left)}.${node.right.name}`;
+  if (node.type === 'MemberExpression') return `${entityName(node.object)}.${node.property.name}`;
+  if (node.type === 'ThisExpression') return 'this';
+  return '?';
+}
+
+/**
+ * Name of a property/enum member key: `id`, `'content-type'` → content-type, `0`
+ */
+function propertyKey(key) {
+  if (key.type === 'Identifier') return key.name;
+  if (key.type === 'StringLiteral' || key.type === 'NumericLiteral' || key.type === 'Literal') return String(key.value);
+  return '[computed]';
+}
+
+function literalToString(literal) {
+  if (literal.type === 'StringLiteral') return `'${literal.value}'`;
+  if (literal.type === 'UnaryExpression') return `-${literal.argument.value}`;
+  if (literal.type === 'TemplateLiteral') return 'template literal';
+  return String(literal.value);
+}
+
+function wrapComplex(node) {
+  const text = typeToString(node);
+  return ['TSUnionType', 'TSIntersectionType', 'TSFunctionType'].includes(node.type) ? `(${text})` : text;
+}
+
+function typeArguments(node) {
+  return node && node.params.length > 0 ? `<${node.params.map(typeToString).join(', ')}>` : '';
+}
+
+/**
+ * `<T extends Base = Default>` for a declaration's type parameters
+ */
+function typeParameters(node) {
+  if (!node || node.params.length === 0) return '';
+  return `<${node.params.map(param => {
+    const name = param.name?.name || param.name;
+    const constraint = param.constraint ? ` extends ${typeToString(param.constraint)}` : '';
+    const fallback = param.default ? ` = ${typeToString(param.default)}` : '';
+    return name + constraint + fallback;
+  }).join(', ')}>`;
+}
+
+function paramsToString(params = []) {
+  return params.map(param => {
+    if (param.type === 'RestElement') {
+      return `...${param.argument.name}${param.typeAnnotation ? `: ${typeToString(param.typeAnnotation)}` : ''}`;
+    }
+    if (param.type === 'AssignmentPattern') {
+      return `${paramsToString([param.left])} = …`;
+    }
+    if (param.type === 'TSParameterProperty') {
+      return paramsToString([param.parameter]);
+    }
+    const name = param.name || (param.type === 'ObjectPattern' ? '{}' : '[]');
+    const type = param.typeAnnotation ? `: ${typeToString(param.typeAnnotation)}` : '';
+    return `${name}${param.optional ? '?' : ''}${type}`;
+  }).join(', ');
+}
+
+/**
+ * `<T>(id: T, opts?: Options): Promise<T>` for a function or overload node
+ */
+function signatureToString(node) {
+  const returnType = node.returnType ? `: ${typeToString(node.returnType)}` : '';
+  return `${typeParameters(node.typeParameters)}(${paramsToString(node.params)})${returnType}`;
+}
+
+/**
+ * Text of an interface / type literal member: `readonly id?: string`, `get(id: string): User`
+ */
+function memberToString(member) {
+  const name = member.key ? propertyKey(member.key) : '';
+  const optional = member.optional ? '?' : '';
+  if (member.type === 'TSPropertySignature') {
+    return `${member.readonly ? 'readonly ' : ''}${name}${optional}: ${typeToString(member.typeAnnotation)}`;
+  }
+  if (member.type === 'TSMethodSignature') {
+    return `${name}${optional}(${paramsToString(member.parameters || member.params)}): ` +
+      typeToString(member.typeAnnotation || member.returnType);
+  }
+  if (member.type === 'TSIndexSignature') {
+    return `[${paramsToString(member.parameters)}]: ${typeToString(member.typeAnnotation)}`;
+  }
+  return member.type.replace(/^TS/, '');
+}
+
+/**
+ * Top-level members of a union type as text, or [text] for any other type.
+ * `Array<T>` is written `T[]`, so both spellings compare equal.
+ */
+function unionMembers(node) {
+  if (!node) return [];
+  const type = canonicalType(node.type === 'TSTypeAnnotation' ? node.typeAnnotation : node);
+  if (type.type === 'TSUnionType') return type.types.map(typeToString);
+  return [typeToString(type)];
+}
+
+/**
+ * Copy of a type node with `Array<T>` / `ReadonlyArray<T>` rewritten as
+ * `T[]` / `readonly T[]` and redundant parentheses dropped
+ */
+function canonicalType(node) {
+  if (Array.isArray(node)) return node.map(canonicalType);
+  if (!node || typeof node !== 'object' || !node.type) return node;
+  if (node.type === 'TSParenthesizedType') return canonicalType(node.typeAnnotation);
+
+  const args = node.typeParameters || node.typeArguments;
+  if (node.type === 'TSTypeReference' && node.typeName.type === 'Identifier' &&
+      ['Array', 'ReadonlyArray'].includes(node.typeName.name) && args?.params.length === 1) {
+    const array = { type: 'TSArrayType', elementType: canonicalType(args.params[0]) };
+    return node.typeName.name === 'Array' ? array : { type: 'TSTypeOperator', operator: 'readonly', typeAnnotation: array };
+  }
+
+  const copy = {};
+  Object.keys(node).forEach(key => {
+    copy[key] = key === 'loc' ? node[key] : canonicalType(node[key]);
+  });
+  return copy;
+}
+
+const TOP_TYPES = ['any', 'unknown'];
+const PRIMITIVE_TYPES = ['string', 'number', 'boolean', 'bigint', 'symbol', 'object', 'null', 'undefined', 'void', 'never'];
+
+/**
+ * How a type changed, judged by its union members:
+ *   'same'      - same members, in any order
+ *   'widened'   - accepts everything it used to, and more
+ *   'narrowed'  - accepts only some of what it used to
+ *   'changed'   - neither
+ *   'unknown'   - neither, as far as the text tells: named types
+ *                 (`User` → `Person`) may well be compatible
+ * A literal is covered by its primitive (`'a'` by string), and object
+ * types by their member lists (see extendsObject).
+ * Types are given as union member lists (see unionMembers).
+ */
+function compareTypes(oldMembers, newMembers) {
+  const uncoveredOld = oldMembers.filter(m => !covers(newMembers, m));
+  const uncoveredNew = newMembers.filter(m => !covers(oldMembers, m));
+
+  if (uncoveredOld.length === 0 && uncoveredNew.length === 0) return 'same';
+  if (newMembers.some(m => TOP_TYPES.includes(m))) return 'widened';
+  if (oldMembers.some(m => TOP_TYPES.includes(m))) return 'narrowed';
+  if (uncoveredOld.length === 0) return 'widened';
+  if (uncoveredNew.length === 0) return 'narrowed';
+  return [...uncoveredOld, ...uncoveredNew].every(isPlainType) ? 'changed' : 'unknown';
+}
+
+/**
+ * Whether a union (member list) accepts every value of the member type
+ */
+function covers(members, member) {
+  return members.includes(member) ||
+    members.includes(literalBase(member)) ||
+    members.some(m => extendsObject(m, member));
+}
+
+// `'a'` → string, `-1` → number, `true` → boolean; null for anything else
+function literalBase(member) {
+  if (/^'.*'$/.test(member) || member === 'template literal') return 'string';
+  if (/^-?\d/.test(member)) return 'number';
+  if (member === 'true' || member === 'false') return 'boolean';
+  return null;
+}
+
+/**
+ * Primitives, literals and arrays of them: types whose text says all there is to know
+ */
+function isPlainType(member) {
+  if (PRIMITIVE_TYPES.includes(member) || literalBase(member)) return true;
+  return member.endsWith('[]') && isPlainType(member.slice(0, -2));
+}
+
+/**
+ * Whether object type `wider` accepts every value of `narrower`: members
+ * only `wider` has are optional (`{ x } → { x; y? }`), and members only
+ * `narrower` has are required (`{ x; y } → { x }`)
+ */
+function extendsObject(wider, narrower) {
+  const widerMembers = objectMembers(wider);
+  const narrowerMembers = objectMembers(narrower);
+  if (!widerMembers || !narrowerMembers) return false;
+  return widerMembers.every(m => narrowerMembers.includes(m) || isOptionalMember(m)) &&
+    narrowerMembers.every(m => widerMembers.includes(m) || !isOptionalMember(m));
+}
+
+function isOptionalMember(text) {
+  return /^(readonly )?[^:(]+\?[:(]/.test(text);
+}
+
+/**
+ * Member texts of an object type literal as printed by typeToString, or null
+ */
+function objectMembers(text) {
+  if (!/^\{ .* \}$/.test(text) || text === '{ [mapped] }') return null;
+  const members = [];
+  let depth = 0;
+  let start = 2;
+  const inner = text.length - 2;
+  for (let i = 2; i < inner; i++) {
+    const char = text[i];
+    if ('([{<'.includes(char)) depth++;
+    if (')]}'.includes(char) || (char === '>' && text[i - 1] !== '=')) depth--;
+    if (depth === 0 && text.startsWith('; ', i)) {
+      members.push(text.slice(start, i));
+      start = i + 2;
+    }
+  }
+  members.push(text.slice(start, inner));
+  return members.filter(Boolean);
+}
+
+module.exports = {
+  typeToString,
+  typeParameters,
+  entityName,
+  propertyKey,
+  memberToString,
+  signatureToString,
+  unionMembers,
+  compareTypes
+};
@@ -0,0 +1,268 @@
+// src/patchReader.js - Unified diff parsing for patches that arrive outside git
+const fs = require('fs');
+const path = require('path');
+const { matchesPattern } = require('./utils');
+
+/**
+ * Read a patch from a file, or from stdin when source is '-'
+ */
+async function readPatch(source) {
+  if (source === '-') {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+  }
+  return fs.promises.readFile(source, 'utf8');
+}
+
+/**
+ * Parse a multi-file unified diff (git format or plain `diff -u`) into the
+ * same `diffs` array that getDiff produces.
+ */
+function parsePatch(patch, filePattern) {
+  const diffs = [];
+
+  for (const chunk of splitPatch(patch)) {
+    const header = parseFileHeader(chunk);
+    if (!header.path) continue;
+
+    if (filePattern && !matchesPattern(header.path, filePattern)) {
+      continue;
+    }
+
+    const stats = countPatchLines(chunk);
+
+    diffs.push({
+      path: header.path,
+      oldPath: header.oldPath || header.path,
+      newPath: header.path,
+      status: header.status,
+      similarity: header.similarity,
+      extension: path.extname(header.path),
+      diff: chunk,
+      insertions: stats.insertions,
+      deletions: stats.deletions,
+      binary: stats.binary
+    });
+  }
+
+  return diffs;
+}
+
+/**
+ * Split a multi-file patch into one chunk per file. A file starts at a
+ * `diff --git` line, or at a `---`/`+++` pair outside of any hunk. Hunk line
+ * counts are tracked so removed lines starting with `--` are not mistaken
+ * for headers, and trailing mail signatures are dropped.
+ */
+function splitPatch(patch) {
+  const chunks = [];
+  const lines = patch.split('\n');
+  let current = null;
+  let inGitHeader = false;
+  let oldRemaining = 0;
+  let newRemaining = 0;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const inHunk = oldRemaining > 0 || newRemaining > 0;
+
+    if (inHunk) {
+      current.push(line);
+      if (line.startsWith('-')) oldRemaining--;
+      else if (line.startsWith('+')) newRemaining--;
+      else if (!line.startsWith('\\')) {
+        oldRemaining--;
+        newRemaining--;
+      }
+      continue;
+    }
+
+    if (line.startsWith('diff --git ') || line.startsWith('diff --cc ')) {
+      if (current) chunks.push(current.join('\n'));
+      current = [line];
+      inGitHeader = true;
+      continue;
+    }
+
+    const startsPlainFile = line.startsWith('--- ') && (lines[i + 1] || '').startsWith('+++ ');
+    if (startsPlainFile && !inGitHeader) {
+      if (current) chunks.push(current.join('\n'));
+      current = [];
+    }
+
+    const hunk = parseHunkHeader(line);
+    if (current && hunk) {
+      oldRemaining = hunk.oldCount;
+      newRemaining = hunk.newCount;
+      inGitHeader = false;
+      current.push(line);
+      continue;
+    }
+
+    // Keep git extended headers and `\ No newline` markers, drop mail noise
+    if (current && (inGitHeader || startsPlainFile || line.startsWith('+++ ') || line.startsWith('\\'))) {
+      current.push(line);
+    }
+  }
+  if (current) chunks.push(current.join('\n'));
+
+  return chunks;
+}
+
+/**
+ * Parse `@@ -old_start,old_count +new_start,new_count @@`
+ */
+function parseHunkHeader(line) {
+  const match = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+  if (!match) return null;
+
+  return {
+    oldStart: parseInt(match[1], 10),
+    oldCount: match[2] === undefined ? 1 : parseInt(match[2], 10),
+    newStart: parseInt(match[3], 10),
+    newCount: match[4] === undefined ? 1 : parseInt(match[4], 10)
+  };
+}
+
+/**
+ * Count added/removed lines of a single-file patch and detect binary files
+ */
+function countPatchLines(diff) {
+  let insertions = 0;
+  let deletions = 0;
+  let binary = false;
+  let inHunk = false;
+
+  for (const line of diff.split('\n')) {
+    if (line.startsWith('@@')) {
+      inHunk = true;
+    } else if (!inHunk) {
+      if (/^Binary files .* differ$/.test(line) || line === 'GIT binary patch') {
+        binary = true;
+      }
+    } else if (line.startsWith('+')) {
+      insertions++;
+    } else if (line.startsWith('-')) {
+      deletions++;
+    }
+  }
+
+  return { insertions, deletions, binary };
+}
+
+/**
+ * Work out paths and status from the header lines of one file's patch
+ */
+function parseFileHeader(chunk) {
+  const header = { path: null, oldPath: null, status: 'modified', similarity: null };
+  let minusPath = null;
+  let plusPath = null;
+
+  for (const line of chunk.split('\n')) {
+    if (line.startsWith('@@')) break;
+
+    if (line.startsWith('diff --git ')) {
+      const samePath = parseGitHeaderPath(line.slice('diff --git '.length));
+      if (samePath) header.path = header.oldPath = samePath;
+    } else if (line.startsWith('new file mode')) {
+      header.status = 'added';
+    } else if (line.startsWith('deleted file mode')) {
+      header.status = 'deleted';
+    } else if (line.startsWith('rename from ')) {
+      header.status = 'renamed';
+      header.oldPath = unquotePath(line.slice('rename from '.length));
+    } else if (line.startsWith('rename to ')) {
+      header.path = unquotePath(line.slice('rename to '.length));
+    } else if (line.startsWith('copy from ')) {
+      header.status = 'copied';
+      header.oldPath = unquotePath(line.slice('copy from '.length));
+    } else if (line.startsWith('copy to ')) {
+      header.path = unquotePath(line.slice('copy to '.length));
+    } else if (line.startsWith('similarity index ')) {
+      header.similarity = parseInt(line.slice('similarity index '.length), 10);
+    } else if (line.startsWith('--- ')) {
+      minusPath = parseMarkerPath(line.slice(4), 'a/');
+    } else if (line.startsWith('+++ ')) {
+      plusPath = parseMarkerPath(line.slice(4), 'b/');
+    }
+  }
+
+  if (minusPath === '/dev/null') {
+    header.status = 'added';
+    minusPath = null;
+  }
+  if (plusPath === '/dev/null') {
+    header.status = 'deleted';
+    plusPath = null;
+  }
+
+  if (header.status !== 'renamed' && header.status !== 'copied') {
+    header.path = plusPath || minusPath || header.path;
+    header.oldPath = minusPath || header.path;
+  }
+
+  return header;
+}
+
+/**
+ * Path from a `---`/`+++` line: drop the timestamp and the a/ or b/ prefix
+ */
+function parseMarkerPath(value, prefix) {
+  const filePath = unquotePath(value.split('\t')[0].trim());
+  if (filePath === '/dev/null') return filePath;
+  return filePath.startsWith(prefix) ? filePath.slice(prefix.length) : filePath;
+}
+
+/**
+ * `diff --git a/x b/x` is only unambiguous when both sides are the same path
+ */
+function parseGitHeaderPath(rest) {
+  if (rest.startsWith('"')) return null;
+
+  const mid = (rest.length - 1) / 2;
+  const left = rest.slice(0, mid);
+  const right = rest.slice(mid + 1);
+
+  if (left.startsWith('a/') && right.startsWith('b/') && left.slice(2) === right.slice(2)) {
+    return left.slice(2);
+  }
+  return null;
+}
+
+/**
+ * Undo git's C-style quoting of unusual paths ("caf\303\251.js")
+ */
+function unquotePath(value) {
+  if (!value.startsWith('"') || !value.endsWith('"')) return value;
+
+  const bytes = [];
+  const body = value.slice(1, -1);
+  const escapes = { n: 10, t: 9, r: 13, '"': 34, '\\': 92, a: 7, b: 8, f: 12, v: 11 };
+
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] !== '\\') {
+      bytes.push(...Buffer.from(body[i], 'utf8'));
+    } else if (/[0-7]{3}/.test(body.substr(i + 1, 3))) {
+      bytes.push(parseInt(body.substr(i + 1, 3), 8));
+      i += 3;
+    } else {
+      const code = escapes[body[i + 1]];
+      bytes.push(code !== undefined ? code : body.charCodeAt(i + 1));
+      i += 1;
+    }
+  }
+
+  return Buffer.from(bytes).toString('utf8');
+}
+
+module.exports = {
+  readPatch,
+  parsePatch,
+  splitPatch,
+  countPatchLines,
+  parseFileHeader,
+  unquotePath
+};
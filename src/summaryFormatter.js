@@ -4,8 +4,10 @@ const {
   suggestReviewPriority, 
   detectSecurityConcerns,
   detectBreakingChanges,
+  detectHookWarnings,
   generateRecommendations 
 } = require('./utils');
+const { renderChange, renderChanges, describeLocation } = require('./changeModel');
 
 function formatSummary(analysis, options) {
   let output = '\n' + chalk.bold.cyan('╔═══════════════════════════════════════════╗\n');
@@ -16,10 +18,11 @@ function formatSummary(analysis, options) {
   const added = analysis.filter(a => a.status === 'added');
   const deleted = analysis.filter(a => a.status === 'deleted');
   const renamed = analysis.filter(a => a.status === 'renamed');
-  const modified = analysis.filter(a => a.status === 'modified');
+  const copied = analysis.filter(a => a.status === 'copied');
+  const modified = analysis.filter(hasContentChanges);
   
   // File changes overview
-  if (added.length > 0 || deleted.length > 0 || renamed.length > 0) {
+  if (added.length > 0 || deleted.length > 0 || renamed.length > 0 || copied.length > 0) {
     output += chalk.bold.white('📁 File Changes:\n');
     output += chalk.gray('─'.repeat(50) + '\n');
     
@@ -46,10 +49,31 @@ function formatSummary(analysis, options) {
     if (renamed.length > 0) {
       output += chalk.yellow(`  ➜ ${renamed.length} file(s) renamed\n`);
       renamed.forEach(file => {
-        output += chalk.yellow(`    ${file.oldFile} → ${file.file}\n`);
+        output += chalk.yellow(`    ${file.oldFile} → ${file.file}`) + formatSimilarity(file) + '\n';
       });
     }
     
+    if (copied.length > 0) {
+      output += chalk.yellow(`  ⎘ ${copied.length} file(s) copied\n`);
+      copied.forEach(file => {
+        output += chalk.yellow(`    ${file.oldFile} → ${file.file}`) + formatSimilarity(file) + '\n';
+      });
+    }
+    
+    output += '\n';
+  }
+  
+  // Functions that moved between files (reported with the file they moved to)
+  const moves = findMovedFunctions(analysis);
+  if (moves.length > 0) {
+    output += chalk.bold.white('🔀 Moved Functions:\n');
+    output += chalk.gray('─'.repeat(50) + '\n');
+    moves.forEach(record => {
+      output += chalk.yellow(`  • ${renderChange(record)}\n`);
+      renderChanges(record.children, 1).forEach(line => {
+        output += `    ${line}\n`;
+      });
+    });
     output += '\n';
   }
   
@@ -96,6 +120,20 @@ function formatSummary(analysis, options) {
     output += '\n';
   }
   
+  // React hook warnings section
+  const hookWarnings = findHookWarnings(analysis);
+  if (hookWarnings.length > 0) {
+    output += chalk.bold.yellow('🪝 React Hook Warnings:\n');
+    output += chalk.gray('─'.repeat(50) + '\n');
+    hookWarnings.forEach(warning => {
+      output += chalk.yellow(`  ${warning.file}\n`);
+      warning.warnings.forEach(w => {
+        output += chalk.white(`    • ${w}\n`);
+      });
+    });
+    output += '\n';
+  }
+  
   // Complexity analysis
   const highComplexity = modified.filter(m => m.complexity === 'HIGH');
   if (highComplexity.length > 0) {
@@ -119,6 +157,38 @@ function formatSummary(analysis, options) {
   return output;
 }
 
+/**
+ * Modified files, plus renamed/copied files whose content also changed
+ */
+function hasContentChanges(item) {
+  if (item.status === 'modified') return true;
+  if (item.status !== 'renamed' && item.status !== 'copied') return false;
+  return (item.insertions || 0) + (item.deletions || 0) > 0;
+}
+
+function formatSimilarity(file) {
+  return file.similarity != null ? chalk.gray(` (${file.similarity}% similar)`) : '';
+}
+
+/**
+ * Bullet list of a file's changes, with the line span of each top-level record
+ */
+function formatChangeLines(item) {
+  if (!item.records) {
+    return item.changes.map(change => `    • ${change}\n`).join('');
+  }
+
+  let output = '';
+  item.records.forEach(record => {
+    const where = describeLocation(record.location);
+    output += `    • ${renderChange(record)}` + (where ? chalk.gray(` (${where})`) : '') + '\n';
+    renderChanges(record.children, 1).forEach(line => {
+      output += `    • ${line}\n`;
+    });
+  });
+  return output;
+}
+
 function prioritizeFiles(files) {
   const prioritized = {
     CRITICAL: [],
@@ -169,9 +239,7 @@ function formatPrioritySection(priority, items, options) {
     }
     
     // Show changes
-    item.changes.forEach(change => {
-      output += `    • ${change}\n`;
-    });
+    output += formatChangeLines(item);
     
     // Show metrics if risk option is enabled
     if (options.risk) {
@@ -200,13 +268,17 @@ function formatPrioritySection(priority, items, options) {
   return output;
 }
 
+function findMovedFunctions(analysis) {
+  return analysis.flatMap(item => (item.records || []).filter(c => c.entity === 'function' && c.kind === 'moved'));
+}
+
 function findSecurityIssues(analysis) {
   const issues = [];
   
   analysis.forEach(item => {
-    if (item.status !== 'modified') return;
+    if (!hasContentChanges(item)) return;
     
-    const concerns = detectSecurityConcerns(item.changes);
+    const concerns = detectSecurityConcerns(item.records || item.changes);
     if (concerns.length > 0) {
       issues.push({
         file: item.file,
@@ -222,9 +294,9 @@ function findBreakingChanges(analysis) {
   const breaking = [];
   
   analysis.forEach(item => {
-    if (item.status !== 'modified') return;
+    if (!hasContentChanges(item)) return;
     
-    const breakingChanges = detectBreakingChanges(item.changes);
+    const breakingChanges = detectBreakingChanges(item.records || item.changes);
     if (breakingChanges.length > 0) {
       breaking.push({
         file: item.file,
@@ -236,6 +308,24 @@ function findBreakingChanges(analysis) {
   return breaking;
 }
 
+function findHookWarnings(analysis) {
+  const warnings = [];
+  
+  analysis.forEach(item => {
+    if (!hasContentChanges(item)) return;
+    
+    const hookWarnings = detectHookWarnings(item.records || item.changes);
+    if (hookWarnings.length > 0) {
+      warnings.push({
+        file: item.file,
+        warnings: hookWarnings
+      });
+    }
+  });
+  
+  return warnings;
+}
+
 function formatStatistics(analysis, options) {
   const stats = calculateStatistics(analysis);
   
@@ -246,6 +336,9 @@ function formatStatistics(analysis, options) {
   output += chalk.green(`  Added: ${stats.added}\n`);
   output += chalk.red(`  Deleted: ${stats.deleted}\n`);
   output += chalk.yellow(`  Renamed: ${stats.renamed}\n`);
+  if (stats.copied > 0) {
+    output += chalk.yellow(`  Copied: ${stats.copied}\n`);
+  }
   output += chalk.blue(`  Modified: ${stats.modified}\n`);
   
   if (options.risk) {
@@ -279,6 +372,7 @@ function calculateStatistics(analysis) {
     added: 0,
     deleted: 0,
     renamed: 0,
+    copied: 0,
     modified: 0,
     riskHigh: 0,
     riskMedium: 0,
@@ -296,6 +390,7 @@ function calculateStatistics(analysis) {
     if (item.status === 'added') stats.added++;
     else if (item.status === 'deleted') stats.deleted++;
     else if (item.status === 'renamed') stats.renamed++;
+    else if (item.status === 'copied') stats.copied++;
     else if (item.status === 'modified') stats.modified++;
     
     // Risk counts
@@ -324,11 +419,11 @@ function formatRecommendations(analysis) {
   const allRecommendations = [];
   
   analysis.forEach(item => {
-    if (item.status !== 'modified') return;
+    if (!hasContentChanges(item)) return;
     
     const recommendations = generateRecommendations(
       item.file,
-      item.changes,
+      item.records || item.changes,
       item.risk || 'LOW'
     );
     
@@ -380,7 +475,88 @@ function formatRecommendations(analysis) {
   return output + '\n';
 }
 
-module.exports = { formatSummary };
+/**
+ * API surface report: what each entry file exports that was added, removed or changed
+ */
+function formatApiSurface(reports) {
+  let output = chalk.bold.white('🧩 API Surface:\n');
+  output += chalk.gray('─'.repeat(50) + '\n');
+
+  if (reports.length === 0) {
+    return output + chalk.gray('  No entry files found (pass them with --api <files>)\n');
+  }
+
+  reports.forEach(report => {
+    output += chalk.white(`  ${report.entry}`) + chalk.gray(` (${report.exports} export(s))\n`);
+
+    if (report.changes.length === 0) {
+      output += chalk.gray('    No API changes\n');
+      return;
+    }
+
+    report.changes.forEach(change => {
+      const color = change.breaking ? chalk.red : (change.kind === 'added' ? chalk.green : chalk.yellow);
+      output += color(`    • ${renderChange(change)}`) + (change.breaking ? chalk.red(' [breaking]') : '') + '\n';
+      renderChanges(change.children, 1).forEach(line => {
+        output += `    • ${line}\n`;
+      });
+    });
+  });
+
+  return output;
+}
+
+/**
+ * Per-commit view: every file's changes grouped under the commit that made them
+ */
+function formatCommitBreakdown(breakdown, options) {
+  let output = '\n' + chalk.bold.cyan('╔═══════════════════════════════════════════╗\n');
+  output += chalk.bold.cyan('║      Diff Insight Per-Commit Breakdown    ║\n');
+  output += chalk.bold.cyan('╚═══════════════════════════════════════════╝\n\n');
+  
+  const attributed = [];
+  
+  breakdown.forEach(({ commit, analysis }) => {
+    output += chalk.bold.white(`🧾 ${commit.shortSha} ${commit.subject}\n`);
+    output += chalk.gray(`   ${commit.author} <${commit.email}> · ${commit.date}\n`);
+    output += chalk.gray('─'.repeat(50) + '\n');
+    
+    analysis.forEach(item => {
+      const risk = options.risk && item.risk ? chalk.gray(` [${item.risk}]`) : '';
+      output += chalk.white(`  ${item.file}`) + chalk.gray(` (${item.status}, ${item.type})`) + risk + '\n';
+      output += formatChangeLines(item);
+      
+      if (!hasContentChanges(item)) return;
+      
+      detectBreakingChanges(item.records || item.changes).forEach(change => {
+        attributed.push({ commit, file: item.file, kind: 'breaking', change });
+      });
+      detectSecurityConcerns(item.records || item.changes).forEach(change => {
+        attributed.push({ commit, file: item.file, kind: 'security', change });
+      });
+    });
+    
+    output += '\n';
+  });
+  
+  // Risky changes with the commit that introduced them
+  if (attributed.length > 0) {
+    output += chalk.bold.yellow('⚡ Risky Changes by Commit:\n');
+    output += chalk.gray('─'.repeat(50) + '\n');
+    attributed.forEach(({ commit, file, kind, change }) => {
+      const icon = kind === 'security' ? '🔒' : '⚡';
+      output += chalk.yellow(`  ${icon} ${change}`) + chalk.gray(` — ${file}\n`);
+      output += chalk.gray(`     introduced in ${commit.shortSha} by ${commit.author}\n`);
+    });
+    output += '\n';
+  }
+  
+  output += formatStatistics(breakdown.flatMap(entry => entry.analysis), options);
+  
+  return output;
+}
+
+module.exports = { formatSummary, formatCommitBreakdown, formatApiSurface, calculateStatistics };
 
 // // src/summaryFormatter.js
 // const chalk = require('chalk');
@@ -1,10 +1,36 @@
 // src/utils.js - Enhanced with advanced risk assessment
 const path = require('path');
+const { renderChange, flattenChanges, fromStrings } = require('./changeModel');
+
+/**
+ * Accept change records, or plain strings from older callers
+ */
+function toRecords(changes) {
+  if (changes.length > 0 && typeof changes[0] === 'string') {
+    return fromStrings(changes);
+  }
+  return changes;
+}
+
+/**
+ * All record text (for keyword heuristics on names and messages)
+ */
+function changeText(records) {
+  return flattenChanges(records).map(({ change }) => renderChange(change)).join(' ').toLowerCase();
+}
+
+/**
+ * True when any record (at any depth) matches the predicate
+ */
+function hasChange(records, predicate) {
+  return flattenChanges(records).some(({ change }) => predicate(change));
+}
 
 /**
  * Advanced risk assessment based on multiple factors
  */
 function assessRisk(filepath, changes) {
+  const records = toRecords(changes);
   let riskScore = 0;
   const filename = filepath.toLowerCase();
   const basename = path.basename(filename);
@@ -69,18 +95,34 @@ function assessRisk(filepath, changes) {
   if (filename.includes('/core/')) riskScore += 10;
   if (filename.includes('index.')) riskScore += 5;
   
-  // Analyze change patterns
-  const changeText = changes.join(' ').toLowerCase();
+  // Structural indicators come straight from the change records
+  const structuralChanges = [
+    { test: c => c.kind === 'removed' && c.entity === 'function', score: 15 },
+    { test: c => c.kind === 'removed' && c.entity === 'class', score: 15 },
+    { test: c => c.kind === 'removed' && c.entity === 'component', score: 12 },
+    { test: c => c.kind === 'removed' && c.entity === 'import', score: 10 },
+    { test: c => c.kind === 'removed' && ['interface', 'type', 'enum'].includes(c.entity), score: 10 },
+    { test: c => c.entity === 'api-call', score: 10 },
+    { test: c => c.kind === 'added' && c.entity === 'function', score: 5 },
+    { test: c => (c.kind === 'renamed' || c.kind === 'moved') && c.entity === 'function', score: 3 },
+    { test: c => c.kind === 'added' && c.entity === 'class', score: 5 },
+    { test: c => c.kind === 'added' && c.entity === 'component', score: 4 },
+    { test: c => c.entity === 'hook', score: 6 }
+  ];
+  
+  structuralChanges.forEach(({ test, score }) => {
+    if (hasChange(records, test)) {
+      riskScore += score;
+    }
+  });
+  
+  // Keyword indicators in names and messages
+  const text = changeText(records);
   
   // High-risk change indicators
   const highRiskChanges = [
-    { pattern: /removed.*function/i, score: 15 },
-    { pattern: /removed.*class/i, score: 15 },
-    { pattern: /removed.*component/i, score: 12 },
-    { pattern: /deleted.*import/i, score: 10 },
     { pattern: /security|authentication|authorization/i, score: 20 },
     { pattern: /sql|query|database/i, score: 15 },
-    { pattern: /api.*call/i, score: 10 },
     { pattern: /fetch|axios|http/i, score: 8 },
     { pattern: /error.*handling/i, score: 8 },
     { pattern: /validation/i, score: 10 },
@@ -90,17 +132,13 @@ function assessRisk(filepath, changes) {
   ];
   
   highRiskChanges.forEach(({ pattern, score }) => {
-    if (pattern.test(changeText)) {
+    if (pattern.test(text)) {
       riskScore += score;
     }
   });
   
   // Medium-risk change indicators
   const mediumRiskChanges = [
-    { pattern: /added.*function/i, score: 5 },
-    { pattern: /added.*class/i, score: 5 },
-    { pattern: /added.*component/i, score: 4 },
-    { pattern: /hook/i, score: 6 },
     { pattern: /lifecycle/i, score: 7 },
     { pattern: /props.*modified/i, score: 5 },
     { pattern: /state/i, score: 6 },
@@ -109,14 +147,15 @@ function assessRisk(filepath, changes) {
   ];
   
   mediumRiskChanges.forEach(({ pattern, score }) => {
-    if (pattern.test(changeText)) {
+    if (pattern.test(text)) {
       riskScore += score;
     }
   });
   
   // Number of changes factor
-  if (changes.length > 10) riskScore += 10;
-  else if (changes.length > 5) riskScore += 5;
+  const changeCount = flattenChanges(records).length;
+  if (changeCount > 10) riskScore += 10;
+  else if (changeCount > 5) riskScore += 5;
   
   // Determine final risk level
   if (riskScore >= 50) return 'HIGH';
@@ -145,14 +184,10 @@ function calculateImpactScore(filepath, changes, insertions, deletions) {
   else if (totalLines > 20) impact += 5;
   
   // Structural changes impact
-  const structuralKeywords = [
-    'Added function', 'Removed function',
-    'Added class', 'Removed class',
-    'Added component', 'Removed component'
-  ];
+  const structuralEntities = ['function', 'class', 'component'];
   
-  const structuralChanges = changes.filter(c => 
-    structuralKeywords.some(kw => c.includes(kw))
+  const structuralChanges = toRecords(changes).filter(c =>
+    (c.kind === 'added' || c.kind === 'removed') && structuralEntities.includes(c.entity)
   ).length;
   
   impact += structuralChanges * 5;
@@ -178,7 +213,7 @@ function suggestReviewPriority(risk, impactScore, fileType) {
  */
 function detectSecurityConcerns(changes) {
   const concerns = [];
-  const changeText = changes.join(' ').toLowerCase();
+  const text = changeText(toRecords(changes));
   
   const securityPatterns = [
     { 
@@ -212,7 +247,7 @@ function detectSecurityConcerns(changes) {
   ];
   
   securityPatterns.forEach(({ pattern, concern }) => {
-    if (pattern.test(changeText)) {
+    if (pattern.test(text)) {
       concerns.push(concern);
     }
   });
@@ -221,25 +256,25 @@ function detectSecurityConcerns(changes) {
 }
 
 /**
- * Detect potential breaking changes
+ * Detect potential breaking changes: the most specific records flagged
+ * `breaking`, described with their parent (e.g. the function they belong to)
  */
 function detectBreakingChanges(changes) {
-  const breakingPatterns = [
-    'Removed function',
-    'Removed class',
-    'Removed component',
-    'Removed export',
-    'Modified function signature',
-    'Removed prop',
-    'Changed.*from.*to' // Type changes
-  ];
-  
-  return changes.filter(change => 
-    breakingPatterns.some(pattern => {
-      const regex = new RegExp(pattern, 'i');
-      return regex.test(change);
-    })
-  );
+  return flattenChanges(toRecords(changes))
+    .filter(({ change }) => change.breaking && !change.children.some(c => c.breaking))
+    .map(({ change, parent }) => {
+      const text = renderChange(change);
+      return parent ? `${renderChange(parent).replace(/:$/, '')} → ${text}` : text;
+    });
+}
+
+/**
+ * React hook warnings (Rules of Hooks, stale closures) raised on the new code
+ */
+function detectHookWarnings(changes) {
+  return flattenChanges(toRecords(changes))
+    .filter(({ change }) => change.kind === 'warning' && change.entity.startsWith('hook-'))
+    .map(({ change }) => renderChange(change));
 }
 
 /**
@@ -279,7 +314,9 @@ function generateRecommendations(filepath, changes, risk) {
   }
   
   // Documentation recommendations
-  const hasNewExports = changes.some(c => c.includes('Added function') || c.includes('Added class'));
+  const hasNewExports = toRecords(changes).some(c =>
+    c.kind === 'added' && (c.entity === 'function' || c.entity === 'class')
+  );
   if (hasNewExports) {
     recommendations.push({
       type: 'DOCUMENTATION',
@@ -309,39 +346,62 @@ function calculateQualityMetrics(changes) {
     readability: 'GOOD'
   };
   
-  const changeText = changes.join(' ').toLowerCase();
+  const records = toRecords(changes);
+  const text = changeText(records);
   
   // Check maintainability
-  if (changeText.includes('removed error handling')) {
+  if (text.includes('removed error handling')) {
     metrics.maintainability = 'POOR';
-  } else if (changes.length > 15) {
+  } else if (flattenChanges(records).length > 15) {
     metrics.maintainability = 'FAIR';
   }
   
   // Check testability
-  if (changeText.includes('added conditional') && 
-      changeText.includes('added loop')) {
+  if (text.includes('added conditional') && 
+      text.includes('added loop')) {
     metrics.testability = 'FAIR';
   }
   
   // Check readability
   const complexityIndicators = ['nested', 'callback', 'promise chain'];
-  if (complexityIndicators.some(ind => changeText.includes(ind))) {
+  if (complexityIndicators.some(ind => text.includes(ind))) {
     metrics.readability = 'FAIR';
   }
   
   return metrics;
 }
 
+/**
+ * Match a path against a comma-separated glob list (e.g. "*.js,*.jsx")
+ */
+function matchesPattern(filename, pattern) {
+  const patterns = pattern.split(',').map(p => p.trim());
+  return patterns.some(p => {
+    const regex = new RegExp(p.replace(/\*/g, '.*').replace(/\./g, '\\.'));
+    return regex.test(filename);
+  });
+}
+
+/**
+ * Logger that drops everything - the default for programmatic use
+ */
+const silentLogger = {
+  log() {},
+  warn() {}
+};
+
 module.exports = {
   assessRisk,
   calculateImpactScore,
   suggestReviewPriority,
   detectSecurityConcerns,
   detectBreakingChanges,
+  detectHookWarnings,
   generateRecommendations,
   formatFileSize,
-  calculateQualityMetrics
+  calculateQualityMetrics,
+  matchesPattern,
+  silentLogger
 };
 
 // // src/utils.js
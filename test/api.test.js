@@ -0,0 +1,58 @@
+// test/api.test.js - Programmatic API: results are returned, nothing is printed
+const test = require('node:test');
+const assert = require('node:assert');
+const { tempRepo } = require('./helpers');
+const diffInsight = require('..');
+
+// Run fn with console output captured
+async function captureOutput(fn) {
+  const output = [];
+  const originals = { log: console.log, warn: console.warn, error: console.error };
+  console.log = console.warn = console.error = (...args) => output.push(args.join(' '));
+  try {
+    return { result: await fn(), output };
+  } finally {
+    Object.assign(console, originals);
+  }
+}
+
+test('analyze() resolves to the analysis and prints nothing', async () => {
+  const repo = tempRepo();
+  try {
+    repo.write({ 'a.js': 'export function a() { return 1; }\n', 'style.css': '.a { color: red; }\n' });
+    const base = repo.commit('base');
+    repo.write({ 'a.js': 'export function a(x) { return x; }\n', 'style.css': '.a { color: blue; }\n' });
+    repo.commit('change');
+
+    const { result, output } = await captureOutput(() =>
+      diffInsight.analyze({ cwd: repo.dir, base, head: 'HEAD' })
+    );
+    assert.deepStrictEqual(output, []);
+    assert.deepStrictEqual(Object.keys(result).sort(), ['analysis', 'apiSurface', 'refs', 'statistics']);
+    assert.deepStrictEqual(result.analysis.map(item => item.file).sort(), ['a.js', 'style.css']);
+    assert.strictEqual(result.statistics.total, 2);
+    assert.strictEqual(result.statistics.parsers.astFullFile, 1);
+  } finally {
+    repo.remove();
+  }
+});
+
+test('progress goes to an injected logger', async () => {
+  const repo = tempRepo();
+  try {
+    repo.write({ 'a.js': 'export const a = 1;\n' });
+    const base = repo.commit('base');
+    repo.write({ 'a.js': 'export const a = 2;\n' });
+    repo.commit('change');
+
+    const lines = [];
+    const logger = { log: line => lines.push(line), warn: line => lines.push(line) };
+    const { output } = await captureOutput(() =>
+      diffInsight.analyze({ cwd: repo.dir, range: `${base}..HEAD`, files: ['*.js'], logger })
+    );
+    assert.deepStrictEqual(output, []);
+    assert.ok(lines.some(line => line.includes('[AST] Parsing a.js')));
+  } finally {
+    repo.remove();
+  }
+});
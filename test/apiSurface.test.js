@@ -0,0 +1,41 @@
+// test/apiSurface.test.js - API surface report through re-export chains
+const test = require('node:test');
+const assert = require('node:assert');
+const { tempRepo } = require('./helpers');
+const { analyze } = require('../src/index');
+
+test('follows re-exports from the entry file to where names are defined', async () => {
+  const repo = tempRepo();
+  try {
+    repo.write({
+      'index.js': "export * from './lib/math.js';\nexport { format } from './lib/format.js';\n",
+      'lib/math.js': 'export function add(a, b) { return a + b; }\nexport function sub(a, b) { return a - b; }\n',
+      'lib/format.js': 'export function format(n) { return String(n); }\n'
+    });
+    const base = repo.commit('base');
+    repo.write({
+      'lib/math.js': 'export function add(a, b, c) { return a + b + c; }\nexport function mul(a, b) { return a * b; }\n'
+    });
+    const head = repo.commit('head');
+
+    const { apiSurface } = await analyze({ cwd: repo.dir, base, head, api: 'index.js' });
+
+    assert.strictEqual(apiSurface.length, 1);
+    const changes = Object.fromEntries(apiSurface[0].changes.map(c => [c.name, c]));
+    assert.strictEqual(changes.sub.kind, 'removed');
+    assert.strictEqual(changes.sub.breaking, true);
+    assert.strictEqual(changes.mul.kind, 'added');
+    assert.strictEqual(changes.add.kind, 'modified');
+    assert.strictEqual(changes.add.before.file, 'lib/math.js');
+    assert.strictEqual(changes.format, undefined);
+  } finally {
+    repo.remove();
+  }
+});
+
+test('--api with a patch is rejected before the patch is analyzed', async () => {
+  const patch = '--- a/x.js\n+++ b/x.js\n@@ -1 +1 @@\n-a\n+b\n';
+  const logger = { log: () => assert.fail('analyzed'), warn: () => assert.fail('analyzed') };
+
+  await assert.rejects(analyze({ patch, api: true, logger }), /--api needs git refs/);
+});
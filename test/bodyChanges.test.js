@@ -0,0 +1,48 @@
+// test/bodyChanges.test.js - Function body comparison
+const test = require('node:test');
+const assert = require('node:assert');
+const { diffFunctions, semanticDiff } = require('./helpers');
+const { renderChanges } = require('../src/changeModel');
+
+const bodyOf = records => records[0].children.find(child => child.entity === 'body');
+
+test('a rewritten body is reported with a statement summary', () => {
+  const records = diffFunctions(
+    'function f(a) { const b = a; return b; }',
+    'function f(a) { if (a) throw new Error(); log(a); return a; }',
+    'f.js'
+  );
+  const body = bodyOf(records);
+  assert.strictEqual(body.kind, 'modified');
+  assert.deepStrictEqual(body.after, { added: ['if', 'log()', 'return'], removed: ['const b', 'return'] });
+  assert.deepStrictEqual(renderChanges(records), [
+    'Function f changed:',
+    '  └─ Body changed (+ if, log(), return; - const b, return)'
+  ]);
+});
+
+test('whitespace and comment edits are formatting only', () => {
+  const records = diffFunctions(
+    'function f(a) { return a + 1; }',
+    'function f(a) {\n  // add one\n  return a+1;\n}',
+    'f.js'
+  );
+  assert.strictEqual(bodyOf(records).kind, 'reformatted');
+  assert.strictEqual(records[0].breaking, false);
+});
+
+test('unchanged functions are not reported', () => {
+  assert.deepStrictEqual(diffFunctions('function f(a) { return a; }', 'function f(a) { return a; }', 'f.js'), []);
+});
+
+test('a hunk outside the body reports the body as identical', () => {
+  const lineOne = [{ start: 1, end: 1, type: 'removed' }, { start: 1, end: 1, type: 'added' }];
+  const changes = semanticDiff(
+    'function f(a, b) {\n  return a;\n}\n',
+    'function f(a,b) {\n  return a;\n}\n',
+    'f.js',
+    lineOne
+  );
+  assert.deepStrictEqual(changes.map(c => `${c.entity}:${c.kind}`), ['function:modified', 'body:identical']);
+  assert.deepStrictEqual(changes[0].location.changed.new, [{ start: 1, end: 1 }]);
+});
@@ -0,0 +1,64 @@
+// test/changeModel.test.js - Structured change records and their rendering
+const test = require('node:test');
+const assert = require('node:assert');
+const { parser, structureOf } = require('./helpers');
+const { createChange, renderChanges, flattenChanges, fromStrings } = require('../src/changeModel');
+const { detectBreakingChanges, detectSecurityConcerns } = require('../src/utils');
+
+const diffFile = (before, after) =>
+  parser.performSemanticDiff(structureOf(before, 'f.js'), structureOf(after, 'f.js'), [], 'f.js');
+
+test('records carry kind, entity, values, location, severity and children', () => {
+  const [record] = diffFile(
+    'export function f(a, b) { return a; }\n',
+    'export function f(a) { return a; }\n'
+  );
+  assert.deepStrictEqual(
+    { kind: record.kind, entity: record.entity, name: record.name, severity: record.severity, breaking: record.breaking },
+    { kind: 'modified', entity: 'function', name: 'f', severity: 'medium', breaking: true }
+  );
+  assert.deepStrictEqual(record.location.new, { start: 1, end: 1, file: 'f.js' });
+
+  const [param] = record.children;
+  assert.strictEqual(`${param.entity}:${param.kind}:${param.name}`, 'parameter:removed:b');
+  assert.strictEqual(param.before.position, 1);
+  assert.strictEqual(param.after, null);
+
+  // Records survive a JSON round trip (what --json prints)
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(record)), record);
+});
+
+test('text output is rendered from the records', () => {
+  const records = diffFile(
+    'export function f(a, b) { return a; }\n',
+    'export function f(a) { return a; }\n'
+  );
+  assert.deepStrictEqual(renderChanges(records), ['Function f changed:', '  └─ Removed parameter: b (breaking)']);
+  assert.deepStrictEqual(detectBreakingChanges(records), ['Function f changed → Removed parameter: b (breaking)']);
+});
+
+test('unknown entity/kind pairs fall back to a generic line', () => {
+  const record = createChange({ kind: 'modified', entity: 'widget', name: 'w' });
+  assert.deepStrictEqual(renderChanges([record]), ['Modified widget: w']);
+  assert.deepStrictEqual(
+    { severity: record.severity, breaking: record.breaking, children: record.children, location: record.location },
+    { severity: 'info', breaking: false, children: [], location: null }
+  );
+});
+
+test('text parser output is lifted into records', () => {
+  const records = fromStrings(['Function login changed:', '  └─ Removed prop: token', 'Added selector: .a'], 'style');
+  assert.deepStrictEqual(
+    flattenChanges(records).map(({ change, parent }) => [change.kind, change.entity, change.breaking, parent && parent.message]),
+    [
+      ['modified', 'function', false, null],
+      ['removed', 'prop', true, 'Function login changed:'],
+      ['added', 'selector', false, null]
+    ]
+  );
+  assert.deepStrictEqual(renderChanges(records), ['Function login changed:', '  └─ Removed prop: token', 'Added selector: .a']);
+
+  // Heuristics accept records and legacy strings alike
+  assert.ok(detectSecurityConcerns(records).includes('Authentication logic changed'));
+  assert.ok(detectSecurityConcerns(['Function login changed:']).includes('Authentication logic changed'));
+});
@@ -0,0 +1,29 @@
+// test/classMembers.test.js - Class fields, accessors and private members
+const test = require('node:test');
+const assert = require('node:assert');
+const { semanticDiff } = require('./helpers');
+
+const diff = (before, after) => semanticDiff(before, after, 'store.ts');
+const find = (changes, entity, name) => changes.find(c => c.entity === entity && c.name === name);
+
+test('removing a public member is breaking, removing a private one is not', () => {
+  const changes = diff(
+    'export class Store { size = 0; #cache = new Map(); get count() { return this.size; } }',
+    'export class Store { }'
+  );
+
+  assert.strictEqual(find(changes, 'field', 'size').breaking, true);
+  assert.strictEqual(find(changes, 'field', '#cache').breaking, false);
+  assert.strictEqual(find(changes, 'method', 'get count').breaking, true);
+});
+
+test('type changes only break reachable fields', () => {
+  const changes = diff(
+    'export class Store { #id: string = ""; private key: string; size: string; }',
+    'export class Store { #id: number = 0; private key: number; size: number; }'
+  );
+
+  assert.strictEqual(find(changes, 'field-type', '#id').breaking, false);
+  assert.strictEqual(find(changes, 'field-type', 'key').breaking, false);
+  assert.strictEqual(find(changes, 'field-type', 'size').breaking, true);
+});
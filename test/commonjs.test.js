@@ -0,0 +1,37 @@
+// test/commonjs.test.js - require() and module.exports as imports and exports
+const test = require('node:test');
+const assert = require('node:assert');
+const { structureOf, semanticDiff } = require('./helpers');
+
+const diff = (before, after) => semanticDiff(before, after, 'index.js');
+
+test('require() bindings are imports and exports.x are named exports', () => {
+  const structure = structureOf([
+    "const fs = require('fs');",
+    "const { join } = require('path');",
+    'exports.read = function (file) { return fs.readFileSync(join(file)); };'
+  ].join('\n'), 'index.js');
+
+  assert.deepStrictEqual(structure.imports.map(i => i.source), ['fs', 'path']);
+  assert.deepStrictEqual(structure.exports.flatMap(e => e.specifiers.map(s => s.exported)), ['read']);
+});
+
+test('removing a property of module.exports is breaking', () => {
+  const changes = diff(
+    'function a() {}\nfunction b() {}\nmodule.exports = { a, b };',
+    'function a() {}\nfunction b() {}\nmodule.exports = { a };'
+  );
+
+  const removed = changes.find(c => c.entity === 'export' && c.kind === 'removed');
+  assert.strictEqual(removed.name, 'b');
+  assert.strictEqual(removed.breaking, true);
+});
+
+test('a default export turning from a function into a class is breaking', () => {
+  const changes = diff('module.exports = function foo() {};', 'module.exports = class Foo {};');
+
+  const modified = changes.find(c => c.entity === 'export' && c.kind === 'modified');
+  assert.strictEqual(modified.before, 'function');
+  assert.strictEqual(modified.after, 'class');
+  assert.strictEqual(modified.breaking, true);
+});
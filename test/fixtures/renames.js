@@ -0,0 +1,36 @@
+// test/fixtures/renames.js - Before/after sources for rename detection
+
+// Unrelated functions: one removed, one added, never a rename
+const unrelated = [
+  {
+    title: 'one-line lookups on different objects',
+    before: 'export function getUser(id) { return db.users.find(id); }',
+    after: 'export function deleteOrder(orderId) { return api.orders.remove(orderId); }'
+  },
+  {
+    title: 'small functions with different control flow',
+    before: 'function a(x) { if (x > 1) { return x * 2; } return 0; }',
+    after: 'function b(y) { while (y > 0) { y = y - 1; } return y; }'
+  },
+  {
+    title: 'fetch helpers doing different requests',
+    before: 'function load(id) { const res = fetch(`/api/users/${id}`); if (!res.ok) throw new Error("failed"); return res.json(); }',
+    after: 'function save(user) { const body = JSON.stringify(user); return fetch("/api/users", { method: "POST", body }); }'
+  }
+];
+
+// The same function under a new name, possibly with small edits
+const renamed = [
+  {
+    title: 'renamed with its parameter',
+    before: 'function total(items) { let sum = 0; for (const item of items) { sum += item.price * item.qty; } return sum; }',
+    after: 'function computeTotal(lines) { let sum = 0; for (const line of lines) { sum += line.price * line.qty; } return sum; }'
+  },
+  {
+    title: 'renamed and edited',
+    before: 'function total(items) { let sum = 0; for (const item of items) { sum += item.price * item.qty; } return sum; }',
+    after: 'function computeTotal(items) { let sum = 0; for (const item of items) { sum += item.price * item.qty + item.tax; } return Math.round(sum); }'
+  }
+];
+
+module.exports = { unrelated, renamed };
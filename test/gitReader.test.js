@@ -0,0 +1,83 @@
+// test/gitReader.test.js - Collecting changed files from git
+const test = require('node:test');
+const assert = require('node:assert');
+const { tempRepo } = require('./helpers');
+const { getDiff, parseNameStatus, pairPatches } = require('../src/gitReader');
+
+const byPath = diffs => Object.fromEntries(diffs.map(d => [d.path, d]));
+
+test('lists every status with its own patch', async () => {
+  const repo = tempRepo();
+  try {
+    repo.write({ 'kept.js': 'a\n', 'gone.js': 'b\n', 'moved.js': 'one\ntwo\nthree\nfour\n', 'café.js': 'x\n' });
+    const base = repo.commit('base');
+    repo.write({
+      'kept.js': 'a\nb\n',
+      'gone.js': null,
+      'moved.js': null,
+      'lib/moved.js': 'one\ntwo\nthree\nfour\n',
+      'new file.js': 'c\n',
+      'café.js': 'y\n'
+    });
+    const head = repo.commit('head');
+
+    const diffs = byPath(await getDiff({ base, head, mode: 'range' }, null, repo.dir));
+
+    assert.deepStrictEqual(Object.keys(diffs).sort(), ['café.js', 'gone.js', 'kept.js', 'lib/moved.js', 'new file.js']);
+    assert.strictEqual(diffs['kept.js'].status, 'modified');
+    assert.strictEqual(diffs['kept.js'].insertions, 1);
+    assert.strictEqual(diffs['gone.js'].status, 'deleted');
+    assert.strictEqual(diffs['new file.js'].status, 'added');
+    assert.strictEqual(diffs['lib/moved.js'].status, 'renamed');
+    assert.strictEqual(diffs['lib/moved.js'].oldPath, 'moved.js');
+    assert.strictEqual(diffs['lib/moved.js'].similarity, 100);
+    assert.match(diffs['café.js'].diff, /^\+y$/m);
+  } finally {
+    repo.remove();
+  }
+});
+
+test('a conflicted file is listed once, with its patch', async () => {
+  const repo = tempRepo();
+  try {
+    repo.write({ 'café.js': 'base\n', 'other.js': 'o\n' });
+    repo.commit('base');
+    repo.git('checkout', '-q', '-b', 'side');
+    repo.write({ 'café.js': 'side\n' });
+    repo.commit('side');
+    repo.git('checkout', '-q', 'main');
+    repo.write({ 'café.js': 'main\n', 'other.js': 'p\n' });
+    repo.commit('main');
+    assert.throws(() => repo.git('merge', '-q', 'side'));
+
+    const diffs = await getDiff({ base: 'HEAD', head: '(working tree)', mode: 'range' }, null, repo.dir);
+
+    assert.deepStrictEqual(diffs.map(d => d.path).sort(), ['café.js']);
+    assert.match(diffs[0].diff, /^\+side$/m);
+  } finally {
+    repo.remove();
+  }
+});
+
+test('parses name-status records, renames and copies with their score', () => {
+  const output = ['M', 'a.js', 'R087', 'old.js', 'new.js', 'C100', 'src.js', 'copy.js', 'U', 'c.js', ''].join('\0');
+
+  assert.deepStrictEqual(parseNameStatus(output), [
+    { status: 'modified', oldPath: 'a.js', path: 'a.js', similarity: null, unmerged: false },
+    { status: 'renamed', oldPath: 'old.js', path: 'new.js', similarity: 87 },
+    { status: 'copied', oldPath: 'src.js', path: 'copy.js', similarity: 100 },
+    { status: 'modified', oldPath: 'c.js', path: 'c.js', similarity: null, unmerged: true }
+  ]);
+});
+
+test('patches that do not line up with the entries are paired by path', () => {
+  const plain = 'diff --git a/b.js b/b.js\n--- a/b.js\n+++ b/b.js\n@@ -1 +1 @@\n-x\n+y';
+  const combined = 'diff --cc "caf\\303\\251.js"\nindex 1,2..3\n@@@ -1,1 -1,1 +1,5 @@@';
+  const quoted = 'diff --git "a/caf\\303\\251.js" "b/caf\\303\\251.js"\n--- "a/caf\\303\\251.js"\n+++ "b/caf\\303\\251.js"';
+
+  assert.deepStrictEqual(
+    pairPatches([{ path: 'café.js' }, { path: 'b.js' }, { path: 'gone.js' }], [plain, combined]),
+    [combined, plain, '']
+  );
+  assert.deepStrictEqual(pairPatches([{ path: 'x.js' }, { path: 'café.js' }], [quoted]), ['', quoted]);
+});
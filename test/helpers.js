@@ -0,0 +1,89 @@
+// test/helpers.js - Shared helpers for the semantic diff tests
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { ASTParser } = require('../src/parser/astParser');
+const { flattenChanges } = require('../src/changeModel');
+
+const parser = new ASTParser();
+
+// Parser for a test file, by extension
+const PARSER_TYPES = { '.ts': 'babel-ts', '.tsx': 'babel-tsx' };
+
+function parserTypeOf(filepath) {
+  const extension = filepath.slice(filepath.lastIndexOf('.'));
+  return PARSER_TYPES[extension] || 'babel-jsx';
+}
+
+/**
+ * Code structure (functions, classes, exports, ...) of a source string
+ */
+function structureOf(code, filepath = 'file.jsx') {
+  return parser.extractCodeStructure(parser.parseFullAST(code, parserTypeOf(filepath)));
+}
+
+/**
+ * Top-level function records of diffFunctions() between two versions
+ */
+function diffFunctions(before, after, filepath = 'file.jsx') {
+  return parser.diffFunctions(structureOf(before, filepath).functions, structureOf(after, filepath).functions);
+}
+
+/**
+ * Every change record of performSemanticDiff() between two versions,
+ * nested ones included, in report order. affectedRanges are the changed
+ * lines, as { start, end, type: 'added' | 'removed' }.
+ */
+function semanticDiff(before, after, filepath = 'file.jsx', affectedRanges = []) {
+  const changes = parser.performSemanticDiff(
+    structureOf(before, filepath), structureOf(after, filepath), affectedRanges, filepath
+  );
+  return flattenChanges(changes).map(({ change }) => change);
+}
+
+/**
+ * Throwaway git repository: write(files) writes { path: content } (null
+ * deletes), git(...args) runs git in it, commit(message) commits everything
+ * and returns the sha, remove() deletes it
+ */
+function tempRepo() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'diff-insight-'));
+  const git = (...args) => execFileSync('git', args, { cwd: dir, encoding: 'utf8', stdio: 'pipe' });
+  git('init', '-q', '-b', 'main');
+  git('config', 'user.name', 'Test');
+  git('config', 'user.email', 'test@example.com');
+  git('config', 'commit.gpgsign', 'false');
+
+  return {
+    dir,
+    git,
+    write(files) {
+      Object.entries(files).forEach(([file, content]) => {
+        const target = path.join(dir, file);
+        if (content === null) {
+          fs.rmSync(target, { force: true });
+          return;
+        }
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, content);
+      });
+    },
+    commit(message) {
+      git('add', '-A');
+      git('commit', '-q', '--allow-empty', '-m', message);
+      return git('rev-parse', 'HEAD').trim();
+    },
+    remove() {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+module.exports = {
+  parser,
+  tempRepo,
+  structureOf,
+  diffFunctions,
+  semanticDiff
+};
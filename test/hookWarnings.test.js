@@ -0,0 +1,51 @@
+// test/hookWarnings.test.js - Rules-of-Hooks and stale-closure warnings
+const test = require('node:test');
+const assert = require('node:assert');
+const { semanticDiff } = require('./helpers');
+const { renderChange } = require('../src/changeModel');
+const { detectHookWarnings } = require('../src/utils');
+
+const BEFORE = `function C({ id, on }) {
+  const [s, setS] = useState(0);
+  useEffect(() => { load(id); }, [id]);
+  return <div />;
+}
+function Other() { useState(); return <p />; }
+`;
+
+const AFTER = `function C({ id, on }) {
+  const [s, setS] = useState(0);
+  if (on) { const [t] = useState(1); }
+  for (const x of [1]) { useMemo(() => x, []); }
+  const f = () => { useRef(); };
+  useEffect(() => { load(id, s); }, [id]);
+  return <div />;
+}
+function Other() { if (a) { useState(); } return <p />; }
+`;
+
+const ADDED_LINES = [{ start: 3, end: 6, type: 'added' }, { start: 3, end: 3, type: 'removed' }];
+
+test('hook calls in conditions, loops and nested functions, and stale closures', () => {
+  const warnings = semanticDiff(BEFORE, AFTER, 'file.jsx', ADDED_LINES).filter(c => c.kind === 'warning');
+  assert.deepStrictEqual(warnings.map(renderChange), [
+    'useState called inside a condition in C (Rules of Hooks)',
+    'useMemo called inside a loop in C (Rules of Hooks)',
+    'useRef called inside a nested function in C (Rules of Hooks)',
+    'useEffect in C reads s without listing it as a dependency (stale closure)'
+  ]);
+  assert.deepStrictEqual(warnings[0].location.new, { start: 3, end: 3, file: 'file.jsx' });
+  assert.deepStrictEqual(detectHookWarnings(warnings), warnings.map(renderChange));
+});
+
+test('components outside the changed lines are not checked', () => {
+  const warnings = semanticDiff(BEFORE, AFTER, 'file.jsx', ADDED_LINES).filter(c => c.kind === 'warning');
+  assert.ok(!warnings.some(w => w.after.component === 'Other'));
+});
+
+test('issues the component already had are not reported again', () => {
+  const before = 'function C({ on }) {\n  if (on) { useState(1); }\n  return <div />;\n}\n';
+  const after = 'function C({ on }) {\n  if (on) { useState(2); }\n  return <div />;\n}\n';
+  const lineTwo = [{ start: 2, end: 2, type: 'removed' }, { start: 2, end: 2, type: 'added' }];
+  assert.deepStrictEqual(semanticDiff(before, after, 'file.jsx', lineTwo).filter(c => c.kind === 'warning'), []);
+});
@@ -0,0 +1,51 @@
+// test/hooks.test.js - Hook dependency arrays, effect cleanup and custom hooks
+const test = require('node:test');
+const assert = require('node:assert');
+const { semanticDiff } = require('./helpers');
+const { renderChange } = require('../src/changeModel');
+
+const HOOK_ENTITIES = ['hooks', 'hook', 'dependencies', 'cleanup'];
+const hookLines = (before, after) =>
+  semanticDiff(before, after).filter(c => HOOK_ENTITIES.includes(c.entity)).map(renderChange);
+
+test('dependency arrays, cleanup and custom hooks per component', () => {
+  const before = `function C({ id }) {
+  const [s] = useState(0);
+  useEffect(() => { load(id); }, [id]);
+  const m = useMemo(() => s * 2, [s]);
+  const cb = useCallback(() => s, []);
+  useEffect(() => { const t = setInterval(tick); return () => clearInterval(t); }, []);
+  return <div>{m}{cb()}</div>;
+}
+`;
+  const after = `function C({ id }) {
+  const [s] = useState(0);
+  useEffect(() => { load(id, s); }, [id, s]);
+  const m = useMemo(() => s * 2);
+  const cb = useCallback(() => s, [s]);
+  useEffect(() => { const t = setInterval(tick); }, []);
+  const user = useAuth();
+  return <div>{m}{cb()}{user}</div>;
+}
+`;
+  assert.deepStrictEqual(hookLines(before, after), [
+    'Hooks in C changed:',
+    'useEffect#1 dependencies: added s',
+    'Effect cleanup removed from useEffect#2',
+    'useMemo dependencies: [s] → none (re-runs on every render)',
+    'useCallback dependencies: added s',
+    'Added custom hook: useAuth'
+  ]);
+});
+
+test('an added cleanup is reported', () => {
+  assert.deepStrictEqual(hookLines(
+    'function C() {\n  useEffect(() => { subscribe(); }, []);\n  return <div />;\n}\n',
+    'function C() {\n  useEffect(() => { subscribe(); return () => unsubscribe(); }, []);\n  return <div />;\n}\n'
+  ), ['Hooks in C changed:', 'Effect cleanup added to useEffect']);
+});
+
+test('unchanged hooks are not reported', () => {
+  const source = 'function C({ id }) {\n  useEffect(() => { load(id); }, [id]);\n  return <div />;\n}\n';
+  assert.deepStrictEqual(hookLines(source, source), []);
+});
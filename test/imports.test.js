@@ -0,0 +1,57 @@
+// test/imports.test.js - Specifier-level import diffs, duplicate and unused imports
+const test = require('node:test');
+const assert = require('node:assert');
+const { semanticDiff } = require('./helpers');
+const { renderChange } = require('../src/changeModel');
+
+const importLines = changes => changes.filter(c => c.entity.startsWith('import')).map(renderChange);
+
+test('specifier additions, alias changes and import kinds', () => {
+  const changes = semanticDiff(
+    "import { useState } from 'react';\nimport R from 'lodash';\nimport { A as B } from './a';\nimport { T } from './t';\n" +
+      'useState(); R(); B(); let x: T;\n',
+    "import { useState, useMemo } from 'react';\nimport * as R from 'lodash';\nimport { A as C } from './a';\nimport type { T } from './t';\n" +
+      'useState(); useMemo(); R.x(); C(); let x: T;\n',
+    'file.tsx'
+  );
+  assert.deepStrictEqual(importLines(changes), [
+    "Import from 'react' changed:",
+    'Added specifier: useMemo',
+    "Import from 'lodash' changed:",
+    'Specifier changed: default import R → namespace import * as R',
+    "Import from './a' changed:",
+    'Specifier changed: A as B → A as C',
+    "Import from './t' changed:",
+    'Specifier changed: T → type T'
+  ]);
+});
+
+test('removed specifiers are reported under their source', () => {
+  const changes = semanticDiff(
+    "import { a, b } from './m';\na(); b();\n",
+    "import { a } from './m';\na();\n",
+    'file.js'
+  );
+  assert.deepStrictEqual(importLines(changes), ["Import from './m' changed:", 'Removed specifier: b']);
+});
+
+test('duplicate and unused imports introduced by the change', () => {
+  const changes = semanticDiff(
+    "import { useState } from 'react';\nuseState();\n",
+    "import { useState } from 'react';\nimport { useState as again } from 'react';\nimport { unused } from './u';\nuseState();\n",
+    'file.js'
+  );
+  const flagged = changes.filter(c => c.kind === 'duplicate' || c.kind === 'unused').map(renderChange);
+  assert.deepStrictEqual(flagged, [
+    "Duplicate import: 'react' imported by 2 declarations",
+    "Duplicate import: useState imported 2 times from 'react'",
+    "Unused import: again from 'react'",
+    "Unused import: unused from './u'"
+  ]);
+});
+
+test('unused imports that were already there are not reported again', () => {
+  const source = "import { stale } from './s';\nexport const a = 1;\n";
+  const changes = semanticDiff(source, source.replace('a = 1', 'a = 2'), 'file.js');
+  assert.ok(!changes.some(c => c.kind === 'unused'));
+});
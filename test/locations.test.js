@@ -0,0 +1,35 @@
+// test/locations.test.js - Line locations of change records
+const test = require('node:test');
+const assert = require('node:assert');
+const { semanticDiff } = require('./helpers');
+const { describeLocation } = require('../src/changeModel');
+
+const before = [
+  'export function a() {',
+  '  return 1;',
+  '}',
+  '',
+  'export function b() {',
+  '  return 2;',
+  '}'
+].join('\n');
+
+test('records carry the old and new span of what changed', () => {
+  const after = before.replace('return 2', 'return 3');
+  const record = semanticDiff(before, after, 'file.js').find(c => c.entity === 'function' && c.name === 'b');
+
+  assert.deepStrictEqual(record.location.old, { start: 5, end: 7, file: 'file.js' });
+  assert.deepStrictEqual(record.location.new, { start: 5, end: 7, file: 'file.js' });
+});
+
+test('a hunk spanning several functions is clipped to each one', () => {
+  const after = before.replace('return 1', 'return 10').replace('return 2', 'return 20');
+  const ranges = [{ start: 2, end: 6, type: 'added' }, { start: 2, end: 6, type: 'removed' }];
+  const changes = semanticDiff(before, after, 'file.js', ranges);
+
+  const a = changes.find(c => c.entity === 'function' && c.name === 'a');
+  const b = changes.find(c => c.entity === 'function' && c.name === 'b');
+  assert.deepStrictEqual(a.location.changed.new, [{ start: 2, end: 3 }]);
+  assert.deepStrictEqual(b.location.changed.new, [{ start: 5, end: 6 }]);
+  assert.match(describeLocation(b.location), /changed L5-6/);
+});
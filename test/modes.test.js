@@ -0,0 +1,36 @@
+// test/modes.test.js - --staged and --worktree
+const test = require('node:test');
+const assert = require('node:assert');
+const { tempRepo } = require('./helpers');
+const { analyze } = require('../src/index');
+const { flattenChanges } = require('../src/changeModel');
+
+const entities = result => flattenChanges(result.analysis[0].records).map(({ change }) => `${change.entity}:${change.kind}`);
+
+test('staged and unstaged changes are analyzed separately', async () => {
+  const repo = tempRepo();
+  try {
+    repo.write({ 'a.js': 'export function a() { return 1; }\n' });
+    repo.commit('base');
+    repo.write({ 'a.js': 'export function a() { return 2; }\n' });
+    repo.git('add', 'a.js');
+    repo.write({ 'a.js': 'export function a(x) { return 2; }\n' });
+
+    const staged = await analyze({ cwd: repo.dir, staged: true });
+    assert.strictEqual(staged.refs.mode, 'staged');
+    assert.ok(entities(staged).includes('body:modified'));
+    assert.ok(!entities(staged).includes('parameter:added'));
+
+    const worktree = await analyze({ cwd: repo.dir, worktree: true });
+    assert.strictEqual(worktree.refs.mode, 'worktree');
+    assert.ok(entities(worktree).includes('parameter:added'));
+    assert.ok(!entities(worktree).includes('body:modified'));
+  } finally {
+    repo.remove();
+  }
+});
+
+test('--staged and --worktree take no refs', async () => {
+  await assert.rejects(analyze({ staged: true, worktree: true }), /cannot be combined/);
+  await assert.rejects(analyze({ staged: true, range: 'main' }), /do not take a ref range/);
+});
@@ -0,0 +1,17 @@
+// test/namespaces.test.js - Members of TypeScript namespaces
+const test = require('node:test');
+const assert = require('node:assert');
+const { semanticDiff } = require('./helpers');
+
+const diff = (before, after) => semanticDiff(before, after, 'api.ts');
+
+test('namespace members are qualified and not module exports', () => {
+  const changes = diff(
+    'export function f() { return 1; }\nnamespace N { export function f() { return 2; } }',
+    'export function f() { return 1; }\nnamespace N {}'
+  );
+
+  const removed = changes.filter(c => c.entity === 'function' && c.kind === 'removed');
+  assert.deepStrictEqual(removed.map(c => c.name), ['N.f']);
+  assert.ok(!changes.some(c => c.entity === 'export'));
+});
@@ -0,0 +1,42 @@
+// test/nestedFunctions.test.js - Callbacks and local helpers in function diffs
+const test = require('node:test');
+const assert = require('node:assert');
+const { diffFunctions: diff } = require('./helpers');
+const { renderChange } = require('../src/changeModel');
+
+test('a new callback is reported under its parent, not as a top-level function', () => {
+  const changes = diff(
+    'export function load(ids) { return ids.filter(Boolean); }',
+    'export function load(ids) { return ids.filter(Boolean).map(id => id * 2); }'
+  );
+
+  assert.ok(!changes.some(c => c.entity === 'function' && c.kind === 'added'));
+  const parent = changes.find(c => c.entity === 'function' && c.name === 'load');
+  assert.ok(parent.children.some(c => c.entity === 'nested-function' && c.kind === 'added'));
+});
+
+test('editing only a callback does not make its parent formatting-only', () => {
+  const changes = diff(
+    'export function List({ items }) { return <ul>{items.map(i => <li key={i.id}>{i.name}</li>)}</ul>; }',
+    'export function List({ items }) { return <ul>{items.map(i => <li key={i.key}>{i.name}</li>)}</ul>; }'
+  );
+
+  const parent = changes.find(c => c.entity === 'function' && c.name === 'List');
+  assert.ok(!parent || !parent.children.some(c => c.kind === 'reformatted'));
+});
+
+test('a removed effect cleanup is named by its role, without a body change on its parent', () => {
+  const component = cleanup => `export function Foo({ id }) {
+    useEffect(() => {
+      const timer = setInterval(() => poll(id), 1000);
+      ${cleanup}
+    }, [id]);
+    return <div>{id}</div>;
+  }`;
+  const changes = diff(component('return () => clearInterval(timer);'), component('return function stop() { clearInterval(timer); };'));
+
+  const effect = changes.find(c => c.entity === 'function' && c.name === 'Foo > callback#1');
+  assert.ok(!effect.children.some(c => c.entity === 'body'));
+  const removed = effect.children.find(c => c.entity === 'nested-function' && c.kind === 'removed');
+  assert.strictEqual(renderChange(removed), 'Removed effect cleanup in Foo');
+});
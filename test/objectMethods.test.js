@@ -0,0 +1,47 @@
+// test/objectMethods.test.js - Object-literal, prototype and exports functions
+const test = require('node:test');
+const assert = require('node:assert');
+const { structureOf, diffFunctions } = require('./helpers');
+const { renderChanges } = require('../src/changeModel');
+
+const SOURCE = `const api = {
+  async getUser(id) { return id; },
+  save: function (x) { return x; },
+  del: (id) => id,
+  nested: { deep() {} }
+};
+function Foo() {}
+Foo.prototype.bar = function (a) { return a; };
+Foo.helper = function () {};
+exports.x = function (y) { return y; };
+module.exports.z = (q) => q;
+`;
+
+test('object methods and assigned functions get qualified names', () => {
+  assert.deepStrictEqual(structureOf(SOURCE, 'file.js').functions.map(f => f.name), [
+    'api.getUser',
+    'api.save',
+    'api.del',
+    'api.nested.deep',
+    'Foo',
+    'Foo#bar',
+    'Foo.helper',
+    'exports.x',
+    'exports.z'
+  ]);
+});
+
+test('qualified functions take part in the function diff', () => {
+  const after = SOURCE
+    .replace('async getUser(id)', 'getUser(id, opts)')
+    .replace('function (a)', 'function (a, b)')
+    .replace("exports.x = function (y) { return y; };\n", '');
+  assert.deepStrictEqual(renderChanges(diffFunctions(SOURCE, after, 'file.js')), [
+    'Function api.getUser changed:',
+    '  └─ Changed to sync',
+    '  └─ Added parameter: opts (breaking)',
+    'Function Foo#bar changed:',
+    '  └─ Added parameter: b (breaking)',
+    'Removed function: exports.x'
+  ]);
+});
@@ -0,0 +1,36 @@
+// test/parameters.test.js - Parameter order, default values and destructuring
+const test = require('node:test');
+const assert = require('node:assert');
+const { diffFunctions } = require('./helpers');
+const { renderChanges } = require('../src/changeModel');
+
+const lines = (before, after) => renderChanges(diffFunctions(before, after, 'file.js')).slice(1);
+
+test('positional reorders are breaking', () => {
+  const [record] = diffFunctions('function f(a, b) {}', 'function f(b, a) {}', 'file.js');
+  assert.strictEqual(record.breaking, true);
+  assert.deepStrictEqual(renderChanges([record]).slice(1), ['  └─ Parameters reordered: (a, b) → (b, a) (breaking)']);
+});
+
+test('default values: changed, added and removed', () => {
+  assert.deepStrictEqual(lines('function f(a = "x", n = 1) {}', 'function f(a = "y", n) {}'), [
+    "  └─ Default of a: 'x' → 'y' (breaking)",
+    '  └─ Parameter n no longer has a default (was 1), now required (breaking)'
+  ]);
+  assert.deepStrictEqual(lines('function f(a) {}', 'function f(a = -1) {}'), [
+    '  └─ Parameter a now defaults to -1 (compatible)'
+  ]);
+});
+
+test('new parameters are breaking unless they have a default', () => {
+  assert.deepStrictEqual(lines('function f(a) {}', 'function f(a, b = 2) {}'), ['  └─ Added parameter: b = 2 (compatible)']);
+  assert.deepStrictEqual(lines('function f(a) {}', 'function f(a, b) {}'), ['  └─ Added parameter: b (breaking)']);
+});
+
+test('nested destructuring shape changes', () => {
+  assert.deepStrictEqual(lines('function f({ a, b: { c } }) {}', 'function f({ a, b: { d } }) {}'), [
+    '  └─ Destructured parameter { a, b: { d } } changed:',
+    '    └─ Added key: b.d (breaking)',
+    '    └─ Removed key: b.c (compatible)'
+  ]);
+});
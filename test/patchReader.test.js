@@ -0,0 +1,94 @@
+// test/patchReader.test.js - Patch input (--patch / stdin)
+const test = require('node:test');
+const assert = require('node:assert');
+const { parsePatch, unquotePath } = require('../src/patchReader');
+const { analyze } = require('../src/index');
+
+const MAIL_PATCH = `From 1234567 Mon Sep 17 00:00:00 2001
+From: Dev <dev@example.com>
+Subject: [PATCH] Update things
+
+---
+ src/a.js | 3 ++-
+ 2 files changed
+
+diff --git a/src/a.js b/src/a.js
+index 1111111..2222222 100644
+--- a/src/a.js
++++ b/src/a.js
+@@ -1,3 +1,3 @@
+ function a() {
+--- old comment
++  return 2;
+ }
+diff --git a/old.js b/lib/new.js
+similarity index 90%
+rename from old.js
+rename to lib/new.js
+index 3333333..4444444 100644
+--- a/old.js
++++ b/lib/new.js
+@@ -1 +1 @@
+-export const x = 1;
++export const x = 2;
+diff --git a/added.css b/added.css
+new file mode 100644
+index 0000000..5555555
+--- /dev/null
++++ b/added.css
+@@ -0,0 +1 @@
++.a { color: red; }
+-- 
+2.40.0
+`;
+
+test('git-format patches split into one diff per file', () => {
+  const diffs = parsePatch(MAIL_PATCH);
+  assert.deepStrictEqual(
+    diffs.map(d => [d.path, d.oldPath, d.status, d.similarity, d.insertions, d.deletions]),
+    [
+      ['src/a.js', 'src/a.js', 'modified', null, 1, 1],
+      ['lib/new.js', 'old.js', 'renamed', 90, 1, 1],
+      ['added.css', 'added.css', 'added', null, 1, 0]
+    ]
+  );
+  // A removed line starting with `--` stays in its hunk; the signature is dropped
+  assert.match(diffs[0].diff, /^--- old comment$/m);
+  assert.doesNotMatch(diffs[2].diff, /2\.40\.0/);
+});
+
+test('plain diff -u output and file filters', () => {
+  const patch = `--- a.js\t2024-01-01 00:00:00
++++ a.js\t2024-01-02 00:00:00
+@@ -1 +1 @@
+-const a = 1;
++const a = 2;
+--- b.css\t2024-01-01 00:00:00
++++ b.css\t2024-01-02 00:00:00
+@@ -1 +1 @@
+-.b {}
++.b { margin: 0; }
+`;
+  assert.deepStrictEqual(parsePatch(patch).map(d => d.path), ['a.js', 'b.css']);
+  assert.deepStrictEqual(parsePatch(patch, '*.css').map(d => d.path), ['b.css']);
+});
+
+test('quoted paths are unquoted', () => {
+  assert.strictEqual(unquotePath('"caf\\303\\251 \\"x\\".js"'), 'café "x".js');
+  assert.strictEqual(unquotePath('plain.js'), 'plain.js');
+});
+
+test('analyze() reads a patch without git refs', async () => {
+  const { refs, analysis } = await analyze({ patch: MAIL_PATCH, files: '*.js' });
+  assert.strictEqual(refs, null);
+  assert.deepStrictEqual(analysis.map(item => [item.file, item.status]), [
+    ['src/a.js', 'modified'],
+    ['lib/new.js', 'renamed']
+  ]);
+  assert.ok(analysis.every(item => item.parseMethod === 'regex'));
+});
+
+test('a patch cannot be combined with refs', async () => {
+  await assert.rejects(analyze({ patch: MAIL_PATCH, range: 'main' }), /--patch does not take a ref range/);
+  await assert.rejects(analyze({ patch: MAIL_PATCH, staged: true }), /--patch does not take/);
+});
@@ -0,0 +1,52 @@
+// test/perCommit.test.js - Per-commit attribution (--per-commit)
+const test = require('node:test');
+const assert = require('node:assert');
+const { tempRepo } = require('./helpers');
+const { analyzeCommits } = require('../src/index');
+const { formatCommitBreakdown } = require('../src/summaryFormatter');
+
+test('each change is attributed to the commit and author that made it', async () => {
+  const repo = tempRepo();
+  try {
+    repo.write({ 'a.js': 'export function a() { return 1; }\n' });
+    const base = repo.commit('base');
+
+    repo.git('config', 'user.name', 'Alice');
+    repo.write({ 'a.js': 'export function a(x) { return 1; }\n' });
+    const first = repo.commit('Add a parameter');
+
+    repo.write({ 'notes.md': '# Notes\n' });
+    repo.commit('Docs only');
+
+    repo.git('config', 'user.name', 'Bob');
+    repo.write({ 'b.js': 'export function b() {}\n' });
+    const third = repo.commit('Add b');
+
+    const result = await analyzeCommits({ cwd: repo.dir, range: `${base}..HEAD`, files: '*.js' });
+    assert.strictEqual(result.refs.base, base);
+
+    // The docs-only commit has no matching files and is left out
+    assert.deepStrictEqual(
+      result.commits.map(({ commit }) => [commit.sha, commit.author, commit.subject]),
+      [[first, 'Alice', 'Add a parameter'], [third, 'Bob', 'Add b']]
+    );
+    assert.strictEqual(result.commits[0].commit.refs, undefined);
+
+    const [firstItem] = result.commits[0].analysis;
+    assert.strictEqual(firstItem.file, 'a.js');
+    assert.strictEqual(firstItem.commit, first);
+    assert.strictEqual(firstItem.author, 'Alice');
+    assert.deepStrictEqual(result.commits[1].analysis.map(item => [item.file, item.status]), [['b.js', 'added']]);
+    assert.strictEqual(result.statistics.total, 2);
+
+    const report = formatCommitBreakdown(result.commits, {});
+    assert.match(report, new RegExp(`${first.slice(0, 7)} Add a parameter`));
+    assert.match(report, /Alice <test@example\.com>/);
+  } finally {
+    repo.remove();
+  }
+});
+
+test('per-commit analysis needs a commit range', async () => {
+  await assert.rejects(analyzeCommits({ staged: true }), /needs a commit range/);
+});
@@ -0,0 +1,65 @@
+// test/reactProps.test.js - Props contracts of function components
+const test = require('node:test');
+const assert = require('node:assert');
+const { semanticDiff } = require('./helpers');
+
+const diff = (before, after) => semanticDiff(before, after, 'Card.jsx');
+
+test('destructured props are reported once, as props', () => {
+  const changes = diff(
+    'export function Card({ title, body }) { return <div title={title}>{body}</div>; }',
+    'export function Card({ title, kind }) { return <div title={title} className={kind} />; }'
+  );
+
+  assert.ok(!changes.some(c => c.entity === 'destructured-key'));
+  const removed = changes.find(c => c.entity === 'prop' && c.kind === 'removed');
+  const added = changes.find(c => c.entity === 'prop' && c.kind === 'added');
+  assert.strictEqual(removed.name, 'body');
+  assert.strictEqual(removed.breaking, true);
+  assert.strictEqual(added.name, 'kind');
+  assert.strictEqual(added.breaking, false);
+});
+
+test('a memo-wrapped default export is a component', () => {
+  const changes = diff(
+    "import { memo } from 'react';\nexport default memo(function Card({ title }) { return <b>{title}</b>; });",
+    "import { memo } from 'react';\nexport default memo(function Card({ title, sub }) { return <b>{title}{sub}</b>; });"
+  );
+
+  const added = changes.find(c => c.entity === 'prop' && c.kind === 'added');
+  assert.strictEqual(added.name, 'sub');
+  assert.ok(!changes.some(c => c.entity === 'export'));
+});
+
+test('hooks follow a renamed component', () => {
+  const body = '{ const [open, setOpen] = useState(false); useEffect(() => { document.title = String(open); }, [open]); return <div onClick={() => setOpen(!open)}>{props.title}</div>; }';
+  const changes = diff(
+    `import { useState, useEffect } from 'react';\nexport function Card(props) ${body}`,
+    `import { useState, useEffect } from 'react';\nexport function Tile(props) ${body}`
+  );
+
+  assert.ok(changes.some(c => c.entity === 'component' && c.kind === 'renamed'));
+  assert.ok(!changes.some(c => c.entity === 'hook'));
+});
+
+test('a props parameter added to a component is reported only as props', () => {
+  const changes = diff(
+    'export function Card() { return <b />; }',
+    'export function Card({ c }) { return <b>{c}</b>; }'
+  );
+
+  assert.ok(!changes.some(c => c.entity === 'parameter'));
+  assert.ok(!changes.some(c => c.breaking));
+  assert.ok(changes.some(c => c.entity === 'prop' && c.kind === 'added' && c.name === 'c'));
+});
+
+test('a small component renamed with an identical body is a rename', () => {
+  const changes = diff(
+    'export function Button() { return <button />; }',
+    'export function Btn() { return <button />; }'
+  );
+
+  const components = changes.filter(c => c.entity === 'component');
+  assert.deepStrictEqual(components.map(c => c.kind), ['renamed']);
+  assert.strictEqual(components[0].before.name, 'Button');
+});
@@ -0,0 +1,38 @@
+// test/refs.test.js - Ref ranges and --base/--head
+const test = require('node:test');
+const assert = require('node:assert');
+const { tempRepo } = require('./helpers');
+const { resolveRefs, describeRefs, WORKTREE } = require('../src/gitReader');
+
+test('two-dot ranges, single refs and --base/--head', async () => {
+  assert.deepStrictEqual(await resolveRefs('v1..v2'), { base: 'v1', head: 'v2', mode: 'range', range: 'v1..v2' });
+  assert.deepStrictEqual(await resolveRefs('main..'), { base: 'main', head: 'HEAD', mode: 'range', range: 'main..' });
+  assert.deepStrictEqual(await resolveRefs('main'), { base: 'main', head: WORKTREE, mode: 'range' });
+  assert.deepStrictEqual(await resolveRefs(undefined, { base: 'a', head: 'b' }), { base: 'a', head: 'b', mode: 'range' });
+  assert.strictEqual(describeRefs(await resolveRefs('main')), 'main vs working tree');
+});
+
+test('three-dot ranges start at the merge-base', async () => {
+  const repo = tempRepo();
+  try {
+    repo.write({ 'a.js': '1\n' });
+    const forkPoint = repo.commit('base');
+    repo.git('checkout', '-q', '-b', 'feature');
+    repo.write({ 'a.js': '2\n' });
+    repo.commit('feature');
+    repo.git('checkout', '-q', 'main');
+    repo.write({ 'b.js': '3\n' });
+    repo.commit('main');
+
+    const refs = await resolveRefs('main...feature', { cwd: repo.dir });
+    assert.deepStrictEqual(refs, { base: forkPoint, head: 'feature', mode: 'range', range: 'main...feature' });
+  } finally {
+    repo.remove();
+  }
+});
+
+test('conflicting range options are rejected', async () => {
+  await assert.rejects(resolveRefs('a..b', { base: 'c' }), /either a ref range or --base\/--head/);
+  await assert.rejects(resolveRefs(undefined, { head: 'b' }), /--head requires --base/);
+  await assert.rejects(resolveRefs(undefined, {}), /Specify a target branch/);
+});
@@ -0,0 +1,85 @@
+// test/renamedFiles.test.js - Renamed and copied files
+const test = require('node:test');
+const assert = require('node:assert');
+const { tempRepo } = require('./helpers');
+const { analyze } = require('../src/index');
+
+const SOURCE = `export function scale(x) {
+  const y = x + 1;
+  const z = y * 2;
+  return z;
+}
+
+export function unit() {
+  return 1;
+}
+`;
+
+test('a rename with edits is diffed against the old path', async () => {
+  const repo = tempRepo();
+  try {
+    repo.write({ 'a.js': SOURCE });
+    const base = repo.commit('base');
+    repo.write({ 'a.js': null, 'lib/a.js': SOURCE.replace('return 1', 'return 2') });
+    repo.commit('move');
+
+    const { analysis } = await analyze({ cwd: repo.dir, base, head: 'HEAD' });
+    assert.strictEqual(analysis.length, 1);
+    const [item] = analysis;
+    assert.strictEqual(item.file, 'lib/a.js');
+    assert.strictEqual(item.oldFile, 'a.js');
+    assert.strictEqual(item.status, 'renamed');
+    assert.ok(item.similarity > 50 && item.similarity < 100);
+    assert.strictEqual(item.parseMethod, 'ast-full-file');
+    assert.match(item.changes[0], /^File renamed from: a\.js \(\d+% similar\)$/);
+
+    // Only the edited function is reported, not every function as added
+    assert.deepStrictEqual(
+      item.records.slice(1).map(r => `${r.entity}:${r.kind}:${r.name}`),
+      ['function:modified:unit']
+    );
+  } finally {
+    repo.remove();
+  }
+});
+
+test('a pure rename reports only the move', async () => {
+  const repo = tempRepo();
+  try {
+    repo.write({ 'a.js': SOURCE });
+    const base = repo.commit('base');
+    repo.write({ 'a.js': null, 'b.js': SOURCE });
+    repo.commit('rename');
+
+    const { analysis } = await analyze({ cwd: repo.dir, base, head: 'HEAD' });
+    assert.deepStrictEqual(analysis.map(item => [item.status, item.oldFile, item.file, item.similarity]), [
+      ['renamed', 'a.js', 'b.js', 100]
+    ]);
+    assert.deepStrictEqual(analysis[0].changes, ['File renamed from: a.js (100% similar)']);
+  } finally {
+    repo.remove();
+  }
+});
+
+test('a copy keeps the source file and reports the new one as copied', async () => {
+  const repo = tempRepo();
+  try {
+    repo.write({ 'a.js': SOURCE });
+    const base = repo.commit('base');
+    repo.write({ 'a.js': SOURCE.replace('x + 1', 'x + 3'), 'b.js': SOURCE.replace('return 1', 'return 2') });
+    repo.commit('copy');
+
+    const { analysis } = await analyze({ cwd: repo.dir, base, head: 'HEAD' });
+    const copy = analysis.find(item => item.file === 'b.js');
+    assert.strictEqual(copy.status, 'copied');
+    assert.strictEqual(copy.oldFile, 'a.js');
+    assert.match(copy.changes[0], /^File copied from: a\.js/);
+    assert.deepStrictEqual(
+      copy.records.slice(1).map(r => `${r.entity}:${r.kind}:${r.name}`),
+      ['function:modified:unit']
+    );
+    assert.strictEqual(analysis.find(item => item.file === 'a.js').status, 'modified');
+  } finally {
+    repo.remove();
+  }
+});
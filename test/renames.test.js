@@ -0,0 +1,22 @@
+// test/renames.test.js - Function rename detection
+const test = require('node:test');
+const assert = require('node:assert');
+const { diffFunctions } = require('./helpers');
+const { unrelated, renamed } = require('./fixtures/renames');
+
+const diff = ({ before, after }) => diffFunctions(before, after);
+
+unrelated.forEach(fixture => {
+  test(`unrelated: ${fixture.title} stay removed + added`, () => {
+    const changes = diff(fixture);
+    assert.deepStrictEqual(changes.map(c => c.kind).sort(), ['added', 'removed']);
+  });
+});
+
+renamed.forEach(fixture => {
+  test(`renamed: ${fixture.title}`, () => {
+    const changes = diff(fixture);
+    assert.strictEqual(changes.length, 1);
+    assert.strictEqual(changes[0].kind, 'renamed');
+  });
+});
@@ -0,0 +1,62 @@
+// test/renderTree.test.js - JSX render-tree diff for components
+const test = require('node:test');
+const assert = require('node:assert');
+const { semanticDiff } = require('./helpers');
+const { renderChange } = require('../src/changeModel');
+
+const RENDER_ENTITIES = ['component', 'child-component', 'conditional-render', 'list-key', 'handler'];
+const renderLines = (before, after) =>
+  semanticDiff(before, after).filter(c => RENDER_ENTITIES.includes(c.entity)).map(renderChange);
+
+test('child components, conditional rendering, list keys and handlers', () => {
+  const before = `function List({ items, show }) {
+  return (
+    <div>
+      <Header />
+      <ul>{items.map(i => <Item key={i.id} item={i} />)}</ul>
+      <button onClick={save}>Save</button>
+      <Footer />
+    </div>
+  );
+}
+`;
+  const after = `function List({ items, show }) {
+  return (
+    <div>
+      <Header />
+      {show && <Banner />}
+      <ul>{items.map(i => <Item item={i} />)}</ul>
+      {show ? <Spinner /> : null}
+      <button onClick={submit}>Save</button>
+    </div>
+  );
+}
+`;
+  assert.deepStrictEqual(renderLines(before, after), [
+    'Component List changed:',
+    'Renders <Banner>',
+    'Renders <Spinner>',
+    'No longer renders <Footer>',
+    '<Banner> rendered conditionally (&&)',
+    '<Item> in list lost its key (was i.id)',
+    '<Spinner> rendered conditionally (ternary)',
+    '<button> onClick handler changed: save → submit'
+  ]);
+});
+
+test('changed keys and new lists without keys', () => {
+  assert.deepStrictEqual(renderLines(
+    'function L({ items }) {\n  return <ul>{items.map(i => <li key={i.id}>{i.name}</li>)}</ul>;\n}\n',
+    'function L({ items }) {\n  return <ul>{items.map((i, n) => <li key={n}>{i.name}</li>)}{items.map(i => <Row row={i} />)}</ul>;\n}\n'
+  ), [
+    'Component L changed:',
+    'Renders <Row>',
+    'Key of <li> in list: i.id → n',
+    '<Row> rendered in a list without a key'
+  ]);
+});
+
+test('an unchanged render tree is not reported', () => {
+  const source = 'function C({ on }) {\n  return <div>{on && <A onClick={go} />}</div>;\n}\n';
+  assert.deepStrictEqual(renderLines(source, source), []);
+});
@@ -0,0 +1,28 @@
+// test/typeChanges.test.js - Judging TypeScript type changes
+const test = require('node:test');
+const assert = require('node:assert');
+const { semanticDiff } = require('./helpers');
+
+function parameterChange(before, after) {
+  const source = type => `export function f(value: ${type}) { return value; }`;
+  return semanticDiff(source(before), source(after), 'api.ts').find(c => c.entity === 'parameter');
+}
+
+test('array spellings are the same type', () => {
+  assert.strictEqual(parameterChange('string[]', 'Array<string>'), undefined);
+});
+
+test('compatible parameter changes are widenings', () => {
+  [["'x'", 'string'], ['{ x: string }', '{ x: string; y?: number }']].forEach(([before, after]) => {
+    const change = parameterChange(before, after);
+    assert.strictEqual(change.after.typeChange, 'widened');
+    assert.strictEqual(change.breaking, false);
+  });
+});
+
+test('changes between named types are not judged breaking', () => {
+  const change = parameterChange('User', 'Person');
+  assert.strictEqual(change.after.typeChange, 'unknown');
+  assert.strictEqual(change.breaking, false);
+  assert.strictEqual(parameterChange('string', 'number').breaking, true);
+});
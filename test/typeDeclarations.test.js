@@ -0,0 +1,58 @@
+// test/typeDeclarations.test.js - Interfaces, type aliases and enums
+const test = require('node:test');
+const assert = require('node:assert');
+const { semanticDiff } = require('./helpers');
+const { renderChange } = require('../src/changeModel');
+
+const summarize = changes => changes.map(c => [`${c.entity}:${c.kind}`, c.name, c.breaking]);
+
+test('interface properties: added, removed and optional toggled', () => {
+  const changes = semanticDiff(
+    'export interface User { id: string; name: string; email?: string; age: number }\n',
+    'export interface User { id: string; name?: string; email: string; nickname?: string; role: string }\n',
+    'types.ts'
+  );
+  assert.deepStrictEqual(summarize(changes), [
+    ['interface:modified', 'User', true],
+    ['property:modified', 'name', false],
+    ['property:modified', 'email', true],
+    ['property:added', 'nickname', false],
+    ['property:added', 'role', true],
+    ['property:removed', 'age', true]
+  ]);
+  assert.strictEqual(renderChange(changes[1]), 'Property name: now optional (compatible)');
+  assert.strictEqual(renderChange(changes[2]), 'Property email: now required (breaking)');
+});
+
+test('enum members: added, removed and value changes', () => {
+  const changes = semanticDiff(
+    "export enum Color { Red, Green = 'g', Blue }\n",
+    "export enum Color { Red, Green = 'green', Purple }\n",
+    'types.ts'
+  );
+  assert.deepStrictEqual(summarize(changes), [
+    ['enum:modified', 'Color', true],
+    ['enum-member:modified', 'Green', true],
+    ['enum-member:added', 'Purple', false],
+    ['enum-member:removed', 'Blue', true]
+  ]);
+  assert.strictEqual(renderChange(changes[1]), "Member Green value changed: 'g' → 'green' (breaking)");
+});
+
+test('union members of a type alias', () => {
+  const changes = semanticDiff(
+    "export type Status = 'a' | 'b' | 'c';\n",
+    "export type Status = 'a' | 'b' | 'd';\n",
+    'types.ts'
+  );
+  assert.deepStrictEqual(summarize(changes), [
+    ['type:modified', 'Status', true],
+    ['union-member:added', "'d'", false],
+    ['union-member:removed', "'c'", true]
+  ]);
+});
+
+test('unchanged declarations are not reported', () => {
+  const source = "export interface A { x: number }\nexport type B = 'x' | 'y';\nexport enum C { X }\n";
+  assert.deepStrictEqual(semanticDiff(source, source, 'types.ts'), []);
+});